@@ -8,14 +8,16 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const ExcelJS = require('exceljs');
-const { Twilio } = require('twilio');
+const { Twilio, validateRequest } = require('twilio');
+const { parsePhoneNumberFromString, getCountries } = require('libphonenumber-js/max');
 
 // ---------------------- App + Static ----------------------
 const app = express();
 app.use(bodyParser.urlencoded({ extended: true })); // Twilio posts x-www-form-urlencoded
 app.use(bodyParser.json());
-app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
 
 const DATA_DIR = process.env.DATA_DIR || __dirname;
 const APP_DATA_DIR = path.join(DATA_DIR, 'appdata'); // where workspaces live
@@ -35,7 +37,9 @@ const {
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
   TWILIO_WHATSAPP_NUMBER, // e.g., 'whatsapp:+14155238886'
-  AGENT_DISPLAY_NAME
+  AGENT_DISPLAY_NAME,
+  AGENT_WHATSAPP_NUMBER,  // optional: receives cancel/reschedule alerts
+  PUBLIC_BASE_URL         // e.g., 'https://scheduler.example.com' (needed for media links)
 } = process.env;
 
 let twilioClient = null;
@@ -43,88 +47,708 @@ if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
   twilioClient = new Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 }
 
-async function sendWa(to, body, mediaUrl) {
-  if (!twilioClient) throw new Error('Twilio client not configured.');
-  const msg = { from: TWILIO_WHATSAPP_NUMBER, to, body };
-  if (mediaUrl) msg.mediaUrl = [mediaUrl];
-  return twilioClient.messages.create(msg);
+// ---------------------- Messaging transport ----------------------
+// A transport delivers one outbound message: send({ from, to, body, mediaUrl }) -> { sid }.
+// MESSAGING_TRANSPORT picks one; without it Twilio is used when credentials are set,
+// otherwise the simulator, so the whole booking flow works offline.
+const SIMULATOR_LOG_LIMIT = 2000;
+const simulatorLog = []; // { sid, direction: 'out'|'in', wa, body, mediaUrl, at }
+
+function recordSimulated(direction, wa, body, mediaUrl) {
+  const entry = {
+    sid: `SIM${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+    direction, wa, body,
+    mediaUrl: mediaUrl || null,
+    at: new Date().toISOString()
+  };
+  simulatorLog.push(entry);
+  if (simulatorLog.length > SIMULATOR_LOG_LIMIT) simulatorLog.splice(0, simulatorLog.length - SIMULATOR_LOG_LIMIT);
+  return entry;
+}
+
+const transports = {
+  twilio: {
+    async send({ from, to, body, mediaUrl, statusCallback }) {
+      if (!twilioClient) throw new Error('Twilio client not configured.');
+      const msg = { from, to, body };
+      if (mediaUrl) msg.mediaUrl = [mediaUrl];
+      if (statusCallback) msg.statusCallback = statusCallback;
+      return twilioClient.messages.create(msg);
+    }
+  },
+  simulator: {
+    async send({ to, body, mediaUrl }) {
+      const entry = recordSimulated('out', to, body, mediaUrl);
+      return { sid: entry.sid, status: 'delivered' };
+    }
+  }
+};
+
+const TRANSPORT_NAME = (process.env.MESSAGING_TRANSPORT || (twilioClient ? 'twilio' : 'simulator')).toLowerCase();
+if (!transports[TRANSPORT_NAME]) {
+  throw new Error(`Unknown MESSAGING_TRANSPORT "${TRANSPORT_NAME}" (use ${Object.keys(transports).join(' or ')})`);
+}
+const transport = transports[TRANSPORT_NAME];
+
+// ---------------------- Outbound queue ----------------------
+// Every outbound message goes through appdata/outbox.json: sent at most
+// SEND_RATE_PER_SEC per second, transient failures retried with exponential
+// backoff, and Twilio's delivery callbacks (/whatsapp/status) recorded per message.
+const OUTBOX_PATH = path.join(APP_DATA_DIR, 'outbox.json');
+const SEND_RATE_PER_SEC = Math.max(1, Number(process.env.SEND_RATE_PER_SEC) || 5);
+const SEND_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.SEND_MAX_ATTEMPTS || '5', 10));
+const SEND_RETRY_BASE_MS = parseInt(process.env.SEND_RETRY_BASE_MS || '2000', 10);
+const SEND_RETRY_MAX_MS = 5 * 60000;
+const OUTBOX_KEEP_MS = 30 * 24 * 3600 * 1000;
+const OUTBOX_MAX_SETTLED = 5000;      // sent/delivered/failed messages kept for status lookups
+const OUTBOX_SAVE_DELAY_MS = 1000;    // status changes within this window share one write
+const OUTBOX_SAVE_EVERY = 20;         // flush workbook updates this often during a long batch
+const BULK_KINDS = new Set(['broadcast', 'followup']); // replies and reminders jump ahead of these
+
+// Later statuses win; callbacks can arrive out of order
+const STATUS_RANK = { queued: 0, sending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Messages interrupted mid-send by a restart are tried again
+const outbox = (readJson(OUTBOX_PATH, { messages: [] }).messages || [])
+  .map(m => (m.status === 'sending' ? { ...m, status: 'queued' } : m));
+const outboxWaiters = new Map(); // message id -> callback(msg) once sent or failed
+let outboxTimer = null;
+let outboxPumping = false;
+let lastSendAt = 0;
+let outboxSaveTimer = null;
+
+// Writing the whole file on every status change made a broadcast quadratic; changes are
+// batched instead, and a freshly queued batch is written at once with flushOutbox()
+function saveOutbox() {
+  if (!outboxSaveTimer) outboxSaveTimer = setTimeout(flushOutbox, OUTBOX_SAVE_DELAY_MS);
+}
+
+function flushOutbox() {
+  clearTimeout(outboxSaveTimer);
+  outboxSaveTimer = null;
+  // Settled messages go after OUTBOX_KEEP_MS, or oldest first beyond OUTBOX_MAX_SETTLED
+  const cutoff = Date.now() - OUTBOX_KEEP_MS;
+  const settled = outbox.filter(m => STATUS_RANK[m.status] > 0);
+  const drop = new Set(settled.filter(m => Date.parse(m.updatedAt) < cutoff));
+  const kept = settled.filter(m => !drop.has(m));
+  kept.slice(0, Math.max(0, kept.length - OUTBOX_MAX_SETTLED)).forEach(m => drop.add(m));
+  if (drop.size) {
+    const keep = outbox.filter(m => !drop.has(m));
+    outbox.length = 0;
+    for (const m of keep) outbox.push(m);
+  }
+  writeJson(OUTBOX_PATH, { messages: outbox });
+}
+
+function setMessageStatus(msg, status, extra = {}) {
+  Object.assign(msg, extra, { status, updatedAt: new Date().toISOString() });
+  const entry = { status, at: msg.updatedAt };
+  if (extra.error) entry.error = extra.error;
+  msg.history = [...(msg.history || []), entry];
+}
+
+// meta: { wsId, kind: 'reply'|'broadcast'|'followup'|'reminder'|'agent', batchId, template, action }
+function enqueueMessage(to, body, mediaUrl, meta = {}) {
+  const now = new Date().toISOString();
+  const msg = {
+    id: crypto.randomBytes(8).toString('hex'),
+    wsId: meta.wsId || null,
+    kind: meta.kind || 'reply',
+    batchId: meta.batchId || null,
+    to, body,
+    mediaUrl: mediaUrl || null,
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    sid: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ status: 'queued', at: now }]
+  };
+  outbox.push(msg);
+  saveOutbox();
+
+  const ws = msg.wsId ? workspaces.get(msg.wsId) : null;
+  if (ws && msg.kind !== 'agent') {
+    logMessage(ws, {
+      at: now, wa: to, direction: 'out', body,
+      template: meta.template || null,
+      action: meta.action || msg.kind,
+      messageId: msg.id
+    });
+  }
+
+  scheduleOutbox(0);
+  return msg;
+}
+
+// Queue a message and resolve once the transport accepted it (rejects if it finally failed)
+function sendWa(to, body, mediaUrl, meta) {
+  const msg = enqueueMessage(to, body, mediaUrl, meta);
+  return new Promise((resolve, reject) => {
+    outboxWaiters.set(msg.id, m => (m.status === 'failed' ? reject(new Error(m.error)) : resolve(m)));
+  });
+}
+
+function settleWaiter(msg) {
+  const done = outboxWaiters.get(msg.id);
+  if (!done) return;
+  outboxWaiters.delete(msg.id);
+  done(msg);
+}
+
+// Twilio 4xx errors (bad number, not opted in...) won't improve on retry; 429, 5xx and network errors might
+function isRetryable(err) {
+  const status = err && err.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function statusCallbackUrl() {
+  return PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL.replace(/\/+$/, '')}/whatsapp/status` : undefined;
+}
+
+function scheduleOutbox(delay) {
+  if (outboxTimer) clearTimeout(outboxTimer);
+  outboxTimer = setTimeout(pumpOutbox, Math.max(0, delay));
+}
+
+function nextDueMessage(now) {
+  const due = outbox.filter(m => m.status === 'queued' && Date.parse(m.nextAttemptAt) <= now);
+  return due.find(m => !BULK_KINDS.has(m.kind)) || due[0] || null;
+}
+
+async function pumpOutbox() {
+  outboxTimer = null;
+  if (outboxPumping) return;
+  outboxPumping = true;
+  const touched = new Set();
+  let delivered = 0;
+  try {
+    for (let msg = nextDueMessage(Date.now()); msg; msg = nextDueMessage(Date.now())) {
+      const wait = lastSendAt + 1000 / SEND_RATE_PER_SEC - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      lastSendAt = Date.now();
+      await deliverMessage(msg, touched);
+      if (++delivered % OUTBOX_SAVE_EVERY === 0) await flushTouched(touched);
+    }
+    await flushTouched(touched);
+  } catch (err) {
+    console.error('Outbox error:', err);
+  } finally {
+    outboxPumping = false;
+  }
+  const retries = outbox.filter(m => m.status === 'queued').map(m => Date.parse(m.nextAttemptAt));
+  if (retries.length) scheduleOutbox(Math.min(...retries) - Date.now());
+}
+
+async function deliverMessage(msg, touched) {
+  msg.attempts += 1;
+  setMessageStatus(msg, 'sending');
+  try {
+    const res = await transport.send({
+      from: TWILIO_WHATSAPP_NUMBER,
+      to: msg.to,
+      body: msg.body,
+      mediaUrl: msg.mediaUrl,
+      statusCallback: statusCallbackUrl()
+    });
+    setMessageStatus(msg, 'sent', { sid: (res && res.sid) || null, error: null });
+    if (res && res.status === 'delivered') setMessageStatus(msg, 'delivered');
+    applySentEffect(msg, touched);
+    settleWaiter(msg);
+  } catch (err) {
+    const retry = isRetryable(err) && msg.attempts < SEND_MAX_ATTEMPTS;
+    if (retry) {
+      const delay = Math.min(SEND_RETRY_BASE_MS * 2 ** (msg.attempts - 1), SEND_RETRY_MAX_MS);
+      setMessageStatus(msg, 'queued', { error: err.message, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+    } else {
+      setMessageStatus(msg, 'failed', { error: err.message });
+      settleWaiter(msg);
+    }
+    console.error(`Send to ${msg.to} failed (attempt ${msg.attempts}${retry ? ', will retry' : ''}):`, err.message);
+  }
+  saveOutbox();
+}
+
+// Broadcast and follow-up recipients become Pending (with Last Notified) only once their
+// message went out. The rows change as a booking task, like any other change to bookings.
+function applySentEffect(msg, touched) {
+  if (!BULK_KINDS.has(msg.kind)) return;
+  const ws = workspaces.get(msg.wsId);
+  if (!ws) return;
+  touched.add(ws);
+  withBookingLock(ws, () => stampSent(ws, msg.to))
+    .catch(err => console.error(`Failed to mark ${msg.to} as notified:`, err.message));
+}
+
+function stampSent(ws, wa) {
+  if (!ws.excelState) return;
+  const client = ws.clientsByWa.get(wa);
+  const digits = client ? phoneDigitsOnly(client.e164) : '';
+  if (!digits) return;
+
+  const h = ws.excelState.headerMap;
+  const stamp = tzStamp(wsTimeZone(ws));
+  const agg = ws.statusByDigits.get(digits);
+  for (const r of (agg ? agg.rowIndices : [])) {
+    const row = ws.excelState.sheet.getRow(r);
+    row.getCell(h['Last Notified']).value = stamp;
+    const cur = (row.getCell(h['Status']).value || '').toString().trim().toLowerCase();
+    if (cur !== 'confirmed') row.getCell(h['Status']).value = 'Pending';
+    row.commit();
+  }
+  // A Confirmed row keeps its status (a forced broadcast or a follow-up to a booked client)
+  const own = ws.excelState.sheet.getRow(client.rowIndex).getCell(h['Status']).value;
+  syncClientStatus(ws, client, String(own || '').trim().toLowerCase());
+}
+
+// Saves once the stamps queued so far are applied
+async function flushTouched(touched) {
+  for (const ws of touched) {
+    try {
+      await withBookingLock(ws, () => saveExcel(ws));
+    } catch (err) {
+      console.error(`Failed to save Excel for ${ws.id}:`, err.message);
+    }
+  }
+  touched.clear();
+}
+
+// ---------------------- Conversation log ----------------------
+// Every message to or from a client, one JSON object per line in <baseDir>/messages.jsonl:
+// { at, wa, direction: 'in'|'out', body, template, action, messageId }
+function messageLogPath(ws) {
+  return path.join(ws.baseDir, 'messages.jsonl');
+}
+
+function logMessage(ws, entry) {
+  const rec = { at: new Date().toISOString(), ...entry };
+  try {
+    fs.appendFileSync(messageLogPath(ws), JSON.stringify(rec) + '\n');
+  } catch (e) {
+    console.error(`Failed to log message for ${ws.id}:`, e.message);
+  }
+  return rec;
+}
+
+function readMessageLog(ws) {
+  const fp = messageLogPath(ws);
+  if (!fs.existsSync(fp)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(fp, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { /* skip a torn last line */ }
+  }
+  // An inbound message is written after the replies it caused, but happened first
+  return out.sort((a, b) => a.at.localeCompare(b.at) || (a.direction === 'in' ? -1 : 0) - (b.direction === 'in' ? -1 : 0));
+}
+
+function batchCounts(batchId) {
+  const counts = { queued: 0, sent: 0, failed: 0 };
+  for (const m of outbox) {
+    if (m.batchId !== batchId) continue;
+    if (STATUS_RANK[m.status] === 0) counts.queued++;
+    else if (m.status === 'failed') counts.failed++;
+    else counts.sent++;
+  }
+  return counts;
+}
+
+// Give a batch a moment to go out so the response can report real numbers
+async function waitForBatch(batchId, ms) {
+  const until = Date.now() + ms;
+  while (batchCounts(batchId).queued && Date.now() < until) await new Promise(r => setTimeout(r, 250));
+  return batchCounts(batchId);
 }
 
 // ---------------------- Time & Phone helpers ----------------------
 const pad2 = n => String(n).padStart(2, '0');
+const MONTHS_SHORT = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
 const phoneDigitsOnly = v => (v || '').toString().replace(/[^\d]/g, '');
-function waFormat(numberRaw) {
-  const digits = phoneDigitsOnly(numberRaw);
-  if (!digits) return null;
-  const withCC = digits.startsWith('65') ? `+${digits}` : `+65${digits}`;
-  return `whatsapp:${withCC}`;
-}
-function sgtStamp() {
-  // e.g., "2025-09-03 14:23:11 SGT"
-  const s = new Date().toLocaleString('en-GB', {
-    timeZone: 'Asia/Singapore',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit',
-    hour12: false
-  }).replace(',', '');
-  return `${s} SGT`;
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'SG').toUpperCase();
+const KNOWN_COUNTRIES = new Set(getCountries());
+
+// 'my' / 'MY' -> 'MY'; '60' / '+60' -> '+60' (calling code); anything else -> null
+function normalizeCountry(v) {
+  const s = String(v || '').trim().toUpperCase();
+  if (KNOWN_COUNTRIES.has(s)) return s;
+  const cc = s.replace(/^\+/, '');
+  if (/^\d{1,3}$/.test(cc)) return `+${cc}`;
+  return null;
+}
+
+/**
+ * Normalize a phone number to E.164.
+ * Numbers written with + or 00 are read as international; otherwise as a
+ * national number of `country`, falling back to "international without the +"
+ * (so 6591234567 still works). Returns { e164 } or { error }.
+ */
+function normalizePhone(raw, country = DEFAULT_COUNTRY) {
+  const str = String(raw ?? '').trim();
+  if (!str) return { error: 'blank number' };
+  const digits = phoneDigitsOnly(str);
+  if (!digits) return { error: 'no digits in number' };
+
+  const candidates = [];
+  if (/^(\+|00)/.test(str)) {
+    candidates.push(parsePhoneNumberFromString(`+${str.startsWith('00') ? digits.slice(2) : digits}`));
+  } else {
+    const cc = normalizeCountry(country) || DEFAULT_COUNTRY;
+    if (cc.startsWith('+')) candidates.push(parsePhoneNumberFromString(`${cc}${digits.replace(/^0+/, '')}`));
+    else candidates.push(parsePhoneNumberFromString(str, cc));
+    candidates.push(parsePhoneNumberFromString(`+${digits}`));
+  }
+  const valid = candidates.find(p => p && p.isValid());
+  if (valid) return { e164: valid.number };
+  if (/^(\+|00)/.test(str)) return { error: 'not a valid international number' };
+  return { error: `not a valid ${normalizeCountry(country) || DEFAULT_COUNTRY} or international number` };
+}
+
+function waFormat(numberRaw, country = DEFAULT_COUNTRY) {
+  const { e164 } = normalizePhone(numberRaw, country);
+  return e164 ? `whatsapp:${e164}` : null;
+}
+// All calendar maths happens in a workspace's IANA timezone, never the server's
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Singapore';
+// Intl only gives "GMT+8" for most Asian zones; keep the names agents know
+const TZ_ABBR = {
+  'Asia/Singapore': 'SGT', 'Asia/Kuala_Lumpur': 'MYT', 'Asia/Jakarta': 'WIB',
+  'Asia/Makassar': 'WITA', 'Asia/Jayapura': 'WIT', 'Asia/Hong_Kong': 'HKT',
+  'Asia/Manila': 'PHT', 'Asia/Bangkok': 'ICT', 'Asia/Kolkata': 'IST',
+  'Australia/Perth': 'AWST', 'Asia/Tokyo': 'JST', 'UTC': 'UTC'
+};
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const partsFormatters = new Map();
+// Wall-clock parts of an instant in tz: { y, m (0-11), d, h, mi, s }
+function zonedParts(date, tz) {
+  let fmt = partsFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-GB', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    partsFormatters.set(tz, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(date)) p[type] = parseInt(value, 10);
+  return { y: p.year, m: p.month - 1, d: p.day, h: p.hour, mi: p.minute, s: p.second };
+}
+
+// The instant at which the wall clock in tz reads y-m-d h:mi
+function zonedDate(y, m, d, h, mi, tz) {
+  const wall = Date.UTC(y, m, d, h, mi);
+  let guess = wall;
+  // Two passes settle DST edges (the offset at the guess may differ from the target's)
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(guess), tz);
+    const offset = Date.UTC(p.y, p.m, p.d, p.h, p.mi) - guess;
+    guess = wall - offset;
+  }
+  return new Date(guess);
+}
+
+function tzAbbr(tz, date = new Date()) {
+  if (TZ_ABBR[tz]) return TZ_ABBR[tz];
+  const part = new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'short' })
+    .formatToParts(date).find(x => x.type === 'timeZoneName');
+  return part ? part.value : tz;
+}
+
+function tzStamp(tz = DEFAULT_TIMEZONE) {
+  // e.g., "03/09/2025 14:23:11 SGT"
+  const now = new Date();
+  const p = zonedParts(now, tz);
+  return `${pad2(p.d)}/${pad2(p.m + 1)}/${p.y} ${pad2(p.h)}:${pad2(p.mi)}:${pad2(p.s)} ${tzAbbr(tz, now)}`;
 }
 
 // ---------------------- Availability & formatting ----------------------
-function parseAvailabilityLine(line) {
-  const months = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
-  const raw = (line || '').trim().replace(/\s+/g, ' ');
-  if (!raw) return null;
+// Accepted per line (case-insensitive):
+//   25 Aug 1-5pm            Aug 25 2026 10am-12pm       25 Aug 10-12pm, 2-5pm
+//   today 2-4pm             tomorrow 9-11am             next Mon 2-4pm / Tue 7-9pm
+//   every Tue 7-9pm until 30 Sep          every Mon & Thu 9-11am except 28 Aug
+//   except 28 Aug, 4 Sep    (on its own line: excluded from every other line)
+//   30 Aug 2-4pm x20        every Sat 10am-12pm 15 seats   (group sessions)
+// Dates without a year use the current year, rolling into next year when the
+// date is more than a month behind (so "5 Jan" typed in December means January).
+const MONTH_KEYS = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+const WEEKDAY_KEYS = ['sun','mon','tue','wed','thu','fri','sat'];
+const RECURRING_DEFAULT_DAYS = 28;
+const MAX_SLOT_CAPACITY = 500;
 
-  const m = raw.match(/^(\d{1,2})\s+([A-Za-z]{3,})\s+(.*)$/);
-  if (!m) return null;
-  const day = parseInt(m[1], 10);
-  const monIdx = months.indexOf(m[2].toLowerCase().slice(0,3));
-  if (monIdx < 0) return null;
+function monthIndex(word) {
+  const w = (word || '').replace(/\.$/, '');
+  const i = MONTH_KEYS.indexOf(w.slice(0, 3));
+  if (i < 0) return -1;
+  // "aug", "august" and "sept" are fine; "augxyz" is not
+  const full = ['january','february','march','april','may','june','july','august','september','october','november','december'][i];
+  return full.startsWith(w) || w === 'sept' ? i : -1;
+}
 
-  const rangeStr = m[3].toLowerCase();
-  const rm = rangeStr.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*[-–]\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
-  if (!rm) return null;
+// Full names or these abbreviations only: a prefix match would read the Malay "satu" (one) as Saturday
+const WEEKDAY_ABBREVIATIONS = { tues: 2, thur: 4, thurs: 4 };
+function weekdayIndex(word) {
+  const w = (word || '').replace(/\.$/, '');
+  const full = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
+  for (const v of [w, w.replace(/s$/, '')]) {  // "mondays"
+    if (full.includes(v)) return full.indexOf(v);
+    if (WEEKDAY_KEYS.includes(v)) return WEEKDAY_KEYS.indexOf(v);
+    if (v in WEEKDAY_ABBREVIATIONS) return WEEKDAY_ABBREVIATIONS[v];
+  }
+  return -1;
+}
+
+// Calendar dates are plain { y, m, d } so day arithmetic never depends on a timezone
+function addDays(date, n) {
+  const t = new Date(Date.UTC(date.y, date.m, date.d + n));
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth(), d: t.getUTCDate() };
+}
+function weekdayOf(date) {
+  return new Date(Date.UTC(date.y, date.m, date.d)).getUTCDay();
+}
+function compareDates(a, b) {
+  return Date.UTC(a.y, a.m, a.d) - Date.UTC(b.y, b.m, b.d);
+}
+function dateKey(date) {
+  return `${date.y}-${pad2(date.m + 1)}-${pad2(date.d)}`;
+}
+function isRealDate(y, m, d) {
+  const t = new Date(Date.UTC(y, m, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === m && t.getUTCDate() === d;
+}
+
+function todayParts(now, tz) {
+  const p = zonedParts(now, tz);
+  return { y: p.y, m: p.m, d: p.d };
+}
+
+function makeSlotDate(date, h, min, tz) {
+  return zonedDate(date.y, date.m, date.d, h, min, tz);
+}
+
+// "25 aug", "25th aug 2026", "aug 25", "august 25, 2026" -> { y, m, d } | { error }
+function parseCalendarDate(str, today) {
+  const s = str.trim().replace(/,/g, ' ').replace(/\s+/g, ' ');
+  if (s === 'today') return today;
+  if (s === 'tomorrow' || s === 'tmr' || s === 'tmrw') return addDays(today, 1);
 
-  let [_, sh, sm, sMer, eh, em, eMer] = rm;
-  sm = sm || '00';
-  em = em || '00';
-  if (!sMer && eMer) sMer = eMer;
-  if (!eMer && sMer) eMer = sMer;
+  let m = s.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+\.?)(?: (\d{4}))?$/);
+  let day, mon, year;
+  if (m) { day = m[1]; mon = m[2]; year = m[3]; }
+  else {
+    m = s.match(/^([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/);
+    if (!m) return { error: `couldn't read the date "${str.trim()}"` };
+    mon = m[1]; day = m[2]; year = m[3];
+  }
+  const monIdx = monthIndex(mon);
+  if (monIdx < 0) return { error: `unknown month "${mon}"` };
+  const d = parseInt(day, 10);
 
-  let startH = parseInt(sh, 10);
-  let endH   = parseInt(eh, 10);
-  const startM = parseInt(sm, 10);
-  const endM   = parseInt(em, 10);
+  let y = year ? parseInt(year, 10) : today.y;
+  if (!isRealDate(y, monIdx, d)) return { error: `${d} ${MONTHS_SHORT[monIdx]} ${y} is not a real date` };
+  if (!year && compareDates({ y, m: monIdx, d }, addDays(today, -30)) < 0) {
+    y += 1;
+    if (!isRealDate(y, monIdx, d)) return { error: `${d} ${MONTHS_SHORT[monIdx]} ${y} is not a real date` };
+  }
+  return { y, m: monIdx, d };
+}
 
+// "10-12pm", "9:30am - 1pm", "14:00-16:00" -> { sh, sm, eh, em } in 24h | null
+function parseTimeRange(str) {
+  const rm = str.trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!rm) return null;
+  const [, sh, sm, sMer, eh, em, eMer] = rm;
   const to24 = (h, mer) => {
     if (!mer) return h;
     if (mer === 'am') return h === 12 ? 0 : h;
     return h === 12 ? 12 : h + 12;
   };
-  startH = to24(startH, sMer);
-  endH   = to24(endH, eMer);
+  const startM = parseInt(sm || '0', 10);
+  const endM = parseInt(em || '0', 10);
+  const s12 = parseInt(sh, 10);
+  const e12 = parseInt(eh, 10);
+  if (startM > 59 || endM > 59) return null;
 
-  const year = new Date().getFullYear();
-  const start = new Date(year, monIdx, day, startH, startM);
-  const end   = new Date(year, monIdx, day, endH, endM);
-  if (end <= start) end.setHours(end.getHours() + 1);
+  // A side without am/pm borrows the other side's, unless that would put the
+  // end before the start ("10-12pm" is 10am-12pm, "11-1pm" is 11am-1pm)
+  const mins = (h, m) => h * 60 + m;
+  let startH, endH;
+  if (sMer && eMer) { startH = to24(s12, sMer); endH = to24(e12, eMer); }
+  else if (eMer) {
+    endH = to24(e12, eMer);
+    startH = to24(s12, eMer);
+    if (mins(startH, startM) >= mins(endH, endM) && s12 <= 12) startH = to24(s12, eMer === 'pm' ? 'am' : 'pm');
+  } else if (sMer) {
+    startH = to24(s12, sMer);
+    endH = to24(e12, sMer);
+    if (mins(endH, endM) <= mins(startH, startM) && e12 <= 12) endH = to24(e12, sMer === 'am' ? 'pm' : 'am');
+  } else { startH = s12; endH = e12; }
 
-  return { start, end };
+  if (startH > 23 || endH > 24) return null;
+  return { sh: startH, sm: startM, eh: endH, em: endM };
 }
 
-function humanSlotLabel(d1, d2) {
-  const monthsShort = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-  const day = d1.getDate();
-  const mon = monthsShort[d1.getMonth()];
+function startsWithDate(str) {
+  const m = str.match(/^\d{1,2}(?:st|nd|rd|th)?\s+([a-z]+)/);
+  return !!m && monthIndex(m[1]) >= 0;
+}
+
+function splitList(str) {
+  return str.split(/\s*(?:,|;|&|\/|\band\b)\s*/).map(x => x.trim()).filter(Boolean);
+}
+
+/**
+ * Parse one availability line; dates and times are wall-clock in tz.
+ * Returns { ranges: [{ start, end }], excludes: [dateKey], capacity, error: string|null }.
+ * A line that only says "except <dates>" returns just excludes. "x20" or
+ * "20 seats" anywhere on the line sets how many clients each slot seats.
+ */
+function parseAvailabilityLine(line, now = new Date(), tz = DEFAULT_TIMEZONE) {
+  const out = { ranges: [], excludes: [], capacity: null, error: null };
+  const fail = reason => ({ ...out, ranges: [], error: reason });
+  let raw = (line || '').toLowerCase().replace(/[–—]/g, '-').replace(/\s+/g, ' ').trim().replace(/[.;,]+$/, '');
+  if (!raw) return fail('empty line');
+  const today = todayParts(now, tz);
+
+  // x20 / 20 seats
+  const seats = raw.match(/(?:^|\s)(?:x ?(\d+)|(\d+) ?(?:seats?|pax|people))(?=\s|$)/);
+  if (seats) {
+    out.capacity = parseInt(seats[1] || seats[2], 10);
+    if (out.capacity < 1 || out.capacity > MAX_SLOT_CAPACITY) return fail(`seats must be 1–${MAX_SLOT_CAPACITY}`);
+    raw = `${raw.slice(0, seats.index)} ${raw.slice(seats.index + seats[0].length)}`.replace(/\s+/g, ' ').trim();
+    if (!raw) return fail('expected a date and time range before the seats');
+  }
+
+  // except <date>, <date>
+  const ex = raw.match(/(?:^|\s)(?:except|excluding|but not|not on)\s+(.+)$/);
+  if (ex) {
+    for (const part of splitList(ex[1])) {
+      const d = parseCalendarDate(part, today);
+      if (d.error) return fail(`except: ${d.error}`);
+      out.excludes.push(dateKey(d));
+    }
+    raw = raw.slice(0, ex.index).trim();
+    if (!raw) return out;
+  }
+
+  // until <date> (recurring lines only)
+  let until = null;
+  const um = raw.match(/\s+(?:until|till|til)\s+([a-z0-9 ,.]+)$/);
+  if (um && /^every\b/.test(raw)) {
+    const d = parseCalendarDate(um[1], today);
+    if (d.error) return fail(`until: ${d.error}`);
+    until = d;
+    raw = raw.slice(0, um.index).trim();
+  }
+
+  // Work out which calendar dates the line covers, and what's left for times
+  let dates = [];
+  let rest = '';
+  let recurring = false;
+  let m;
+  if ((m = raw.match(/^every\s+(.+?)\s+(?=\d)(.*)$/))) {
+    recurring = true;
+    const days = splitList(m[1]).map(weekdayIndex);
+    if (!days.length || days.some(i => i < 0)) return fail(`couldn't read the weekday(s) "${m[1]}"`);
+    const last = until || addDays(today, RECURRING_DEFAULT_DAYS - 1);
+    if (compareDates(last, today) < 0) return fail('the "until" date is already past');
+    for (let d = today; compareDates(d, last) <= 0; d = addDays(d, 1)) {
+      if (days.includes(weekdayOf(d))) dates.push(d);
+    }
+    rest = m[2];
+  } else if ((m = raw.match(/^(next|this)\s+([a-z]+)\s+(?=\d)(.*)$/))) {
+    const wd = weekdayIndex(m[2]);
+    if (wd < 0) return fail(`unknown weekday "${m[2]}"`);
+    let ahead = (wd - weekdayOf(today) + 7) % 7;
+    if (m[1] === 'next' && ahead === 0) ahead = 7;
+    dates = [addDays(today, ahead)];
+    rest = m[3];
+  } else if ((m = raw.match(/^([a-z]+)\s+(?=\d)(.*)$/)) && weekdayIndex(m[1]) >= 0 && !startsWithDate(m[2])) {
+    dates = [addDays(today, (weekdayIndex(m[1]) - weekdayOf(today) + 7) % 7)];
+    rest = m[2];
+  } else {
+    // Optional leading weekday ("Tue 25 Aug ...") is ignored
+    const body = raw.replace(/^([a-z]+),?\s+(?=\d{1,2}(?:st|nd|rd|th)?\s+[a-z])/, (w, day) => (weekdayIndex(day) >= 0 ? '' : w));
+    m = body.match(/^(today|tomorrow|tmrw?|\d{1,2}(?:st|nd|rd|th)?\s+[a-z]+\.?,?(?:\s+\d{4})?|[a-z]+\.?\s+\d{1,2}(?:st|nd|rd|th)?,?(?:\s+\d{4}(?=\s))?)\s+(.*)$/);
+    if (!m) return fail('expected a date (e.g. "25 Aug") followed by a time range (e.g. "1-5pm")');
+    const d = parseCalendarDate(m[1], today);
+    if (d.error) return fail(d.error);
+    if (compareDates(d, today) < 0) return fail(`${d.d} ${MONTHS_SHORT[d.m]} ${d.y} is in the past`);
+    dates = [d];
+    rest = m[2];
+  }
+
+  const times = [];
+  for (const part of splitList(rest)) {
+    const t = parseTimeRange(part);
+    if (!t) return fail(`couldn't read the time range "${part}"`);
+    if (t.eh * 60 + t.em <= t.sh * 60 + t.sm) return fail(`"${part}" ends before it starts`);
+    times.push(t);
+  }
+  if (!times.length) return fail('no time range given');
+
+  const excluded = new Set(out.excludes);
+  for (const d of dates) {
+    if (excluded.has(dateKey(d))) continue;
+    for (const t of times) {
+      const start = makeSlotDate(d, t.sh, t.sm, tz);
+      const end = makeSlotDate(d, t.eh, t.em, tz);
+      // Ranges that are already over are dropped (quietly, for recurring lines)
+      if (end <= now) continue;
+      out.ranges.push({ start, end, day: dateKey(d) });
+    }
+  }
+  if (!out.ranges.length) return fail(recurring ? 'no matching dates in that period' : 'that time has already passed');
+  return out;
+}
+
+/**
+ * Parse a whole availability block. Returns
+ * { ranges: [{ start, end, line, capacity }], unparsed: [{ line, reason }], excluded: [dateKey] }.
+ * `capacity` is null unless the line gave one.
+ */
+function parseAvailabilityText(text, now = new Date(), tz = DEFAULT_TIMEZONE) {
+  const lines = String(text || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  const ranges = [];
+  const unparsed = [];
+  const globalExcludes = new Set();
+  for (const line of lines) {
+    const parsed = parseAvailabilityLine(line, now, tz);
+    if (parsed.error) { unparsed.push({ line, reason: parsed.error }); continue; }
+    if (!parsed.ranges.length) parsed.excludes.forEach(k => globalExcludes.add(k));
+    for (const r of parsed.ranges) ranges.push({ start: r.start, end: r.end, day: r.day, line, capacity: parsed.capacity });
+  }
+  return {
+    ranges: ranges.filter(r => !globalExcludes.has(r.day)),
+    unparsed,
+    excluded: [...globalExcludes]
+  };
+}
+
+function humanSlotLabel(d1, d2, tz = DEFAULT_TIMEZONE) {
+  const p1 = zonedParts(d1, tz);
+  const day = p1.d;
+  const mon = MONTHS_SHORT[p1.m];
 
   function hm(date) {
-    let h = date.getHours();
+    const p = zonedParts(date, tz);
+    let h = p.h;
     let mer = 'am';
     if (h === 0) { h = 12; mer = 'am'; }
     else if (h === 12) { mer = 'pm'; }
     else if (h > 12) { h -= 12; mer = 'pm'; }
-    const mm = date.getMinutes();
+    const mm = p.mi;
     return mm ? `${h}:${pad2(mm)}${mer}` : `${h}${mer}`;
   }
 
@@ -147,50 +771,397 @@ function expandToBufferedSlots(start, end, slotMins = 60, bufferMins = 0) {
   const step = slotMins + bufferMins;
   let cursor = new Date(start);
   while (cursor < end) {
-    const slotEnd = new Date(cursor);
-    slotEnd.setMinutes(slotEnd.getMinutes() + slotMins);
+    const slotEnd = new Date(cursor.getTime() + slotMins * 60000);
     if (slotEnd > end) break;
     slots.push({ start: new Date(cursor), end: slotEnd });
-    cursor.setMinutes(cursor.getMinutes() + step);
+    cursor = new Date(cursor.getTime() + step * 60000);
   }
   return slots;
 }
 
 // ---------------------- Template helpers ----------------------
-const defaultTemplates = {
-  broadcast:
-    "Hi {{client.name}}, here are my available 1-hour meeting slots:\n\n{{slotsText}}\n\nReply with the number of your preferred slot (e.g., 2).",
-  confirm:
-    "📌 Hi {{client.name}}, your appointment is confirmed.\n\n🗓 {{slotLabel}}\n\n– Your Agent"
+// Every message the bot sends a client is a named, editable template.
+//   {{client.name}}                              a value; every Excel column is client.<camelCase header>
+//   {{client.nickname | default: client.name}}   first non-blank value ("quoted" text works too)
+//   {{#if client.company}}…{{else}}…{{/if}}      also {{#unless …}}…{{/unless}}
+const PICK_HINT = 'Please reply with the number of your preferred slot (e.g., 2).';
+const TEMPLATE_CATALOG = [
+  { key: 'broadcast', group: 'outreach', label: 'Broadcast', description: 'Slot offer sent by Broadcast',
+    vars: ['slotsText', 'meetingType.label', 'meetingType.duration'],
+    text: "Hi {{client.name}}, here are my available slots for a {{meetingType.label}}:\n\n{{slotsText}}\n\nReply with the number of your preferred slot (e.g., 2)." },
+  { key: 'confirm', group: 'outreach', label: 'Confirmation', description: 'Sent when a client books a slot',
+    vars: ['slotLabel', 'meetingType.label'],
+    text: "📌 Hi {{client.name}}, your appointment is confirmed.\n\n🗓 {{slotLabel}}\n\n– Your Agent" },
+  { key: 'reminder', group: 'outreach', label: 'Reminder', description: 'Sent before each confirmed slot',
+    vars: ['slotLabel', 'timeUntil'],
+    text: "⏰ Hi {{client.name}}, a reminder that we're meeting {{timeUntil}}.\n\n🗓 {{slotLabel}}\n\nReply CANCEL or RESCHEDULE if your plans have changed." },
+  { key: 'menu', group: 'reply', label: 'Menu', description: 'Client asks for the menu / slots again',
+    vars: ['slotsText'],
+    text: `Here are the available slots:\n\n{{slotsText}}\n\n${PICK_HINT}` },
+  { key: 'invalidInput', group: 'reply', label: 'Not understood', description: 'Reply was not a slot number or keyword',
+    vars: [],
+    text: PICK_HINT },
+  { key: 'alreadyConfirmed', group: 'reply', label: 'Already confirmed', description: 'Client picks a slot but already has a booking',
+    vars: ['slotLabel'],
+    text: 'You already have a confirmed appointment: {{slotLabel}}.\n\nReply CANCEL to cancel it or RESCHEDULE to pick another slot.' },
+  { key: 'slotUnavailable', group: 'reply', label: 'No such slot', description: 'Slot number is not on the list any more',
+    vars: ['slotNumber'],
+    text: `That slot number is no longer available.\n\n${PICK_HINT}` },
+  { key: 'slotTaken', group: 'reply', label: 'Slot taken', description: 'Someone else booked the slot first',
+    vars: ['slotNumber'],
+    text: `Sorry, that slot was just taken.\n\n${PICK_HINT}` },
+  { key: 'alreadyYours', group: 'reply', label: 'Already your slot', description: 'Client picks the slot they already hold',
+    vars: ['slotLabel'],
+    text: `That is already your current slot ({{slotLabel}}).\n\n${PICK_HINT}` },
+  { key: 'whichSlot', group: 'reply', label: 'Which slot?', description: 'Reply fits several slots (e.g. "Tuesday"); lists just those',
+    vars: ['slotsText'],
+    text: 'Which of these did you mean?\n\n{{slotsText}}\n\nReply with its number.' },
+  { key: 'noMatch', group: 'reply', label: 'No slot at that time', description: 'Reply names a date or time with no open slot',
+    vars: ['slotsText'],
+    text: `Sorry, I don't have an open slot then. Here are the available slots:\n\n{{slotsText}}\n\n${PICK_HINT}` },
+  { key: 'waitlisted', group: 'reply', label: 'Waitlisted', description: 'Client joined the waitlist (WAITLIST, or tried to book with nothing open)',
+    vars: ['preferredDays'],
+    text: "You're on the waitlist{{#if preferredDays}} for {{preferredDays}}{{/if}}. I'll message you as soon as a slot opens up.\n\nReply CANCEL to leave the waitlist." },
+  { key: 'waitlistOffer', group: 'reply', label: 'Waitlist offer', description: 'A slot freed up and is held for the next waitlisted client',
+    vars: ['slotLabel', 'holdEnds'],
+    text: "Good news, {{client.name}}! A slot has opened up: {{slotLabel}}.\n\nI'm holding it for you — reply YES to book it. The hold ends {{holdEnds}}." },
+  { key: 'waitlistExpired', group: 'reply', label: 'Waitlist hold expired', description: 'The client did not claim a held slot in time',
+    vars: ['slotLabel'],
+    text: "The slot I held for you ({{slotLabel}}) has been released. You're still on the waitlist and I'll message you when another slot opens up." },
+  { key: 'waitlistLeft', group: 'reply', label: 'Left waitlist', description: 'Waitlisted client replied CANCEL',
+    vars: [],
+    text: "You've been removed from the waitlist. Reply MENU anytime to see available slots." },
+  { key: 'cancelled', group: 'reply', label: 'Cancelled', description: 'Client replied CANCEL',
+    vars: ['slotLabel'],
+    text: 'Your appointment on {{slotLabel}} has been cancelled. Reply MENU anytime to book a new slot.' },
+  { key: 'nothingToCancel', group: 'reply', label: 'Nothing to cancel', description: 'CANCEL without a booking',
+    vars: [],
+    text: `You don't have a confirmed appointment to cancel.\n\n${PICK_HINT}` },
+  { key: 'reschedule', group: 'reply', label: 'Reschedule', description: 'Client replied RESCHEDULE',
+    vars: ['slotsText', 'slotLabel'],
+    text: 'Sure — here are the open slots:\n\n{{slotsText}}\n\nReply with the number of your new slot. Your current appointment stays booked until you choose.' },
+  { key: 'nothingToReschedule', group: 'reply', label: 'Nothing to reschedule', description: 'RESCHEDULE without a booking',
+    vars: ['slotsText'],
+    text: `You don't have a confirmed appointment yet. Here are the available slots:\n\n{{slotsText}}\n\n${PICK_HINT}` },
+  { key: 'agentBooked', group: 'agent', label: 'Booked by agent', description: 'You put the client into a slot',
+    vars: ['slotLabel', 'meetingType.label'],
+    text: "📌 Hi {{client.name}}, I've booked you in for a {{meetingType.label}}.\n\n🗓 {{slotLabel}}\n\nReply CANCEL or RESCHEDULE if this doesn't suit you." },
+  { key: 'agentMoved', group: 'agent', label: 'Moved by agent', description: "You moved the client's booking to another slot",
+    vars: ['slotLabel', 'previousSlotLabel', 'meetingType.label'],
+    text: "🔁 Hi {{client.name}}, your appointment has been moved{{#if previousSlotLabel}} from {{previousSlotLabel}}{{/if}}.\n\n🗓 {{slotLabel}}\n\nReply CANCEL or RESCHEDULE if the new time doesn't suit you." },
+  { key: 'agentCancelled', group: 'agent', label: 'Released by agent', description: "You released the client's slot",
+    vars: ['slotLabel'],
+    text: 'Hi {{client.name}}, your appointment{{#if slotLabel}} on {{slotLabel}}{{/if}} has been cancelled. Reply MENU anytime to book a new slot.' },
+  { key: 'agentConfirmed', group: 'agent', label: 'Marked confirmed', description: 'You marked the client Confirmed',
+    vars: ['slotLabel'],
+    text: '📌 Hi {{client.name}}, your appointment is confirmed{{#if slotLabel}}.\n\n🗓 {{slotLabel}}{{else}}.{{/if}}\n\n– Your Agent' },
+  { key: 'slotRemoved', group: 'agent', label: 'Slot removed', description: 'You removed a slot the client was booked in',
+    vars: ['slotLabel'],
+    text: "Hi {{client.name}}, I'm sorry — {{slotLabel}} is no longer available, so your appointment has been cancelled. Reply MENU to see the open slots and pick another." },
+  { key: 'agentPending', group: 'agent', label: 'Marked pending', description: 'You marked the client Pending (any booking is released)',
+    vars: ['slotLabel'],
+    text: 'Hi {{client.name}}, {{#if slotLabel}}your appointment on {{slotLabel}} is no longer confirmed. {{/if}}Reply MENU to see the available slots and pick one.' }
+];
+const defaultTemplates = Object.fromEntries(TEMPLATE_CATALOG.map(t => [t.key, t.text]));
+const FOLLOWUP_VARS = ['slotsText'];
+
+// Each workspace keeps a full template set per language. A client gets the set
+// named in their Language column, else the workspace default.
+const LANGUAGES = [
+  { code: 'en', label: 'English', aliases: ['english', 'eng'] },
+  { code: 'zh', label: '中文 (Mandarin)', aliases: ['chinese', 'mandarin', 'zh-cn', 'zh-sg', 'cn', '中文', '华语', '华文'] },
+  { code: 'ms', label: 'Bahasa Melayu', aliases: ['malay', 'melayu', 'bahasa', 'bahasa melayu', 'bm'] }
+];
+const DEFAULT_LANGUAGE = 'en';
+
+function normalizeLanguage(v) {
+  const s = String(v || '').trim().toLowerCase();
+  if (!s) return null;
+  const lang = LANGUAGES.find(l => l.code === s || l.aliases.includes(s));
+  return lang ? lang.code : null;
+}
+
+const PICK_HINT_ZH = '请回复您想要的时段编号（例如 2）。';
+const PICK_HINT_MS = 'Sila balas dengan nombor slot pilihan anda (cth. 2).';
+const TEMPLATE_TRANSLATIONS = {
+  zh: {
+    broadcast: `{{client.name}} 您好，以下是我可预约的{{meetingType.label}}时段：\n\n{{slotsText}}\n\n${PICK_HINT_ZH}`,
+    confirm: '📌 {{client.name}} 您好，您的预约已确认。\n\n🗓 {{slotLabel}}\n\n– 您的顾问',
+    reminder: '⏰ {{client.name}} 您好，提醒您我们将于{{timeUntil}}见面。\n\n🗓 {{slotLabel}}\n\n如计划有变，请回复“取消”或“改期”。',
+    menu: `以下是可预约的时段：\n\n{{slotsText}}\n\n${PICK_HINT_ZH}`,
+    invalidInput: PICK_HINT_ZH,
+    alreadyConfirmed: '您已有一个确认的预约：{{slotLabel}}。\n\n回复“取消”可取消预约，回复“改期”可选择其他时段。',
+    slotUnavailable: `该时段编号已不可用。\n\n${PICK_HINT_ZH}`,
+    slotTaken: `抱歉，该时段刚刚被预约了。\n\n${PICK_HINT_ZH}`,
+    alreadyYours: `这已经是您目前的时段（{{slotLabel}}）。\n\n${PICK_HINT_ZH}`,
+    whichSlot: '请问您指的是以下哪一个时段？\n\n{{slotsText}}\n\n请回复对应的编号。',
+    noMatch: `抱歉，该时间没有可预约的时段。以下是可预约的时段：\n\n{{slotsText}}\n\n${PICK_HINT_ZH}`,
+    waitlisted: '您已加入候补名单{{#if preferredDays}}（{{preferredDays}}）{{/if}}。一有空出的时段，我会立即通知您。\n\n回复“取消”可退出候补名单。',
+    waitlistOffer: '好消息，{{client.name}}！有一个时段空出来了：{{slotLabel}}。\n\n我已为您保留此时段，请回复“是”确认预约。保留将于{{holdEnds}}结束。',
+    waitlistExpired: '为您保留的时段（{{slotLabel}}）已释放。您仍在候补名单中，有新的空档时我会通知您。',
+    waitlistLeft: '您已退出候补名单。如需查看可预约时段，请随时回复“菜单”。',
+    cancelled: '您在 {{slotLabel}} 的预约已取消。如需重新预约，请随时回复“菜单”。',
+    nothingToCancel: `您目前没有可取消的预约。\n\n${PICK_HINT_ZH}`,
+    reschedule: '好的，以下是可预约的时段：\n\n{{slotsText}}\n\n请回复新时段的编号。在您选择之前，现有预约将保持不变。',
+    nothingToReschedule: `您目前还没有确认的预约。以下是可预约的时段：\n\n{{slotsText}}\n\n${PICK_HINT_ZH}`,
+    agentBooked: '📌 {{client.name}} 您好，我已为您预约了{{meetingType.label}}。\n\n🗓 {{slotLabel}}\n\n如时间不合适，请回复“取消”或“改期”。',
+    agentMoved: '🔁 {{client.name}} 您好，您的预约已{{#if previousSlotLabel}}从 {{previousSlotLabel}} {{/if}}改到新的时间。\n\n🗓 {{slotLabel}}\n\n如新时间不合适，请回复“取消”或“改期”。',
+    agentCancelled: '{{client.name}} 您好，您{{#if slotLabel}}在 {{slotLabel}} {{/if}}的预约已取消。如需重新预约，请随时回复“菜单”。',
+    agentConfirmed: '📌 {{client.name}} 您好，您的预约已确认。{{#if slotLabel}}\n\n🗓 {{slotLabel}}{{/if}}\n\n– 您的顾问',
+    slotRemoved: '{{client.name}} 您好，很抱歉，{{slotLabel}} 已不再开放，您的预约已取消。请回复“菜单”查看可预约的时段并另选一个。',
+    agentPending: '{{client.name}} 您好，{{#if slotLabel}}您在 {{slotLabel}} 的预约已不再确认。{{/if}}请回复“菜单”查看可预约的时段并选择一个。'
+  },
+  ms: {
+    broadcast: `Hai {{client.name}}, berikut ialah slot yang tersedia untuk {{meetingType.label}}:\n\n{{slotsText}}\n\n${PICK_HINT_MS}`,
+    confirm: '📌 Hai {{client.name}}, temu janji anda telah disahkan.\n\n🗓 {{slotLabel}}\n\n– Ejen Anda',
+    reminder: '⏰ Hai {{client.name}}, peringatan bahawa kita akan berjumpa {{timeUntil}}.\n\n🗓 {{slotLabel}}\n\nBalas BATAL atau TUKAR jika rancangan anda berubah.',
+    menu: `Berikut ialah slot yang tersedia:\n\n{{slotsText}}\n\n${PICK_HINT_MS}`,
+    invalidInput: PICK_HINT_MS,
+    alreadyConfirmed: 'Anda sudah mempunyai temu janji yang disahkan: {{slotLabel}}.\n\nBalas BATAL untuk membatalkannya atau TUKAR untuk memilih slot lain.',
+    slotUnavailable: `Nombor slot itu tidak lagi tersedia.\n\n${PICK_HINT_MS}`,
+    slotTaken: `Maaf, slot itu baru sahaja ditempah.\n\n${PICK_HINT_MS}`,
+    alreadyYours: `Itu sudah slot semasa anda ({{slotLabel}}).\n\n${PICK_HINT_MS}`,
+    whichSlot: 'Slot yang mana satu maksud anda?\n\n{{slotsText}}\n\nSila balas dengan nombornya.',
+    noMatch: `Maaf, tiada slot kosong pada masa itu. Berikut ialah slot yang tersedia:\n\n{{slotsText}}\n\n${PICK_HINT_MS}`,
+    waitlisted: 'Anda telah dimasukkan ke dalam senarai menunggu{{#if preferredDays}} untuk {{preferredDays}}{{/if}}. Saya akan menghubungi anda sebaik sahaja ada slot kosong.\n\nBalas BATAL untuk keluar dari senarai menunggu.',
+    waitlistOffer: 'Berita baik, {{client.name}}! Ada slot yang kosong: {{slotLabel}}.\n\nSaya menahannya untuk anda — balas YA untuk menempahnya. Tahanan tamat {{holdEnds}}.',
+    waitlistExpired: 'Slot yang ditahan untuk anda ({{slotLabel}}) telah dilepaskan. Anda masih dalam senarai menunggu dan saya akan menghubungi anda apabila ada slot lain.',
+    waitlistLeft: 'Anda telah dikeluarkan dari senarai menunggu. Balas MENU bila-bila masa untuk melihat slot yang tersedia.',
+    cancelled: 'Temu janji anda pada {{slotLabel}} telah dibatalkan. Balas MENU bila-bila masa untuk menempah slot baharu.',
+    nothingToCancel: `Anda tiada temu janji yang disahkan untuk dibatalkan.\n\n${PICK_HINT_MS}`,
+    reschedule: 'Baik — berikut ialah slot yang tersedia:\n\n{{slotsText}}\n\nBalas dengan nombor slot baharu anda. Temu janji semasa anda kekal sehingga anda memilih.',
+    nothingToReschedule: `Anda belum mempunyai temu janji yang disahkan. Berikut ialah slot yang tersedia:\n\n{{slotsText}}\n\n${PICK_HINT_MS}`,
+    agentBooked: '📌 Hai {{client.name}}, saya telah menempah {{meetingType.label}} untuk anda.\n\n🗓 {{slotLabel}}\n\nBalas BATAL atau TUKAR jika masa ini tidak sesuai.',
+    agentMoved: '🔁 Hai {{client.name}}, temu janji anda telah dipindahkan{{#if previousSlotLabel}} dari {{previousSlotLabel}}{{/if}}.\n\n🗓 {{slotLabel}}\n\nBalas BATAL atau TUKAR jika masa baharu tidak sesuai.',
+    agentCancelled: 'Hai {{client.name}}, temu janji anda{{#if slotLabel}} pada {{slotLabel}}{{/if}} telah dibatalkan. Balas MENU bila-bila masa untuk menempah slot baharu.',
+    agentConfirmed: '📌 Hai {{client.name}}, temu janji anda telah disahkan.{{#if slotLabel}}\n\n🗓 {{slotLabel}}{{/if}}\n\n– Ejen Anda',
+    slotRemoved: 'Hai {{client.name}}, maaf — {{slotLabel}} tidak lagi tersedia, jadi temu janji anda telah dibatalkan. Balas MENU untuk melihat slot yang dibuka dan memilih yang lain.',
+    agentPending: 'Hai {{client.name}}, {{#if slotLabel}}temu janji anda pada {{slotLabel}} tidak lagi disahkan. {{/if}}Balas MENU untuk melihat slot yang tersedia dan memilih satu.'
+  }
 };
+
+function defaultTemplatesFor(lang) {
+  return { ...defaultTemplates, ...(TEMPLATE_TRANSLATIONS[lang] || {}) };
+}
+
+function allDefaultTemplates() {
+  return Object.fromEntries(LANGUAGES.map(({ code }) => [code, defaultTemplatesFor(code)]));
+}
+
+function cleanTemplates(t, current, lang = DEFAULT_LANGUAGE) {
+  // undefined keeps the current text; blank restores the default
+  const defaults = defaultTemplatesFor(lang);
+  current = current || defaults;
+  const out = {};
+  for (const key of Object.keys(defaults)) {
+    const v = t[key];
+    if (v === undefined) out[key] = current[key] || defaults[key];
+    else out[key] = typeof v === 'string' && v.trim() ? v : defaults[key];
+  }
+  return out;
+}
+
+const VAR_PATH_RE = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+function parseOperand(src) {
+  const quoted = src.match(/^(["'])(.*)\1$/);
+  if (quoted) return { literal: quoted[2] };
+  if (!VAR_PATH_RE.test(src)) throw new Error(`"${src}" is not a variable name`);
+  return { path: src };
+}
+
+function parseExpression(src) {
+  const [head, ...filters] = src.split('|').map(s => s.trim());
+  const expr = { operands: [parseOperand(head)] };
+  for (const f of filters) {
+    const m = f.match(/^default\s*:\s*(.+)$/);
+    if (!m) throw new Error(`Unknown filter "${f}" in {{${src}}} (only "default:" is supported)`);
+    expr.operands.push(parseOperand(m[1].trim()));
+  }
+  return expr;
+}
+
+// Template text -> tree of text / value / if nodes; throws on bad syntax
+const parsedTemplates = new Map();
+function parseTemplate(tpl) {
+  if (parsedTemplates.has(tpl)) return parsedTemplates.get(tpl);
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const target = () => top().alt || top().body;
+  const re = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(tpl))) {
+    if (m.index > last) target().push({ type: 'text', value: tpl.slice(last, m.index) });
+    last = re.lastIndex;
+    const tag = m[1].trim();
+    const open = tag.match(/^#(if|unless)\s+(.+)$/);
+    const close = tag.match(/^\/(if|unless)$/);
+    if (open) {
+      const node = { type: 'if', keyword: open[1], test: parseExpression(open[2]), body: [], alt: null };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (top().type !== 'if' || top().alt) throw new Error('{{else}} without a matching {{#if}}');
+      top().alt = [];
+    } else if (close) {
+      if (top().type !== 'if' || top().keyword !== close[1]) throw new Error(`{{/${close[1]}}} without a matching {{#${close[1]}}}`);
+      stack.pop();
+    } else if (!tag) {
+      throw new Error('Empty {{ }}');
+    } else {
+      target().push({ type: 'value', expr: parseExpression(tag) });
+    }
+  }
+  if (last < tpl.length) target().push({ type: 'text', value: tpl.slice(last) });
+  if (stack.length > 1) throw new Error(`{{#${top().keyword} …}} is never closed with {{/${top().keyword}}}`);
+  if (parsedTemplates.size > 500) parsedTemplates.clear();
+  parsedTemplates.set(tpl, root.body);
+  return root.body;
+}
+
+const isBlank = v => v === undefined || v === null || v === false || String(v).trim() === '';
+
+function lookupVar(data, pathStr) {
+  let cur = data;
+  for (const p of pathStr.split('.')) {
+    if (cur === null || cur === undefined || !Object.prototype.hasOwnProperty.call(cur, p)) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+function evalExpression(expr, data) {
+  for (const op of expr.operands) {
+    const v = 'literal' in op ? op.literal : lookupVar(data, op.path);
+    if (!isBlank(v)) return v;
+  }
+  return '';
+}
+
+function renderNodes(nodes, data) {
+  return nodes.map(n => {
+    if (n.type === 'text') return n.value;
+    if (n.type === 'value') return String(evalExpression(n.expr, data));
+    const truthy = !isBlank(evalExpression(n.test, data));
+    return renderNodes((truthy !== (n.keyword === 'unless')) ? n.body : (n.alt || []), data);
+  }).join('');
+}
+
 function renderTemplate(tpl, data) {
-  return (tpl || '').replace(/\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g, (_, path) => {
-    const parts = path.split('.');
-    let cur = data;
-    for (const p of parts) {
-      if (cur && Object.prototype.hasOwnProperty.call(cur, p)) cur = cur[p];
-      else return `{{${path}}}`;
-    }
-    return (cur ?? `{{${path}}}`).toString();
-  });
+  try {
+    return renderNodes(parseTemplate(tpl || ''), data);
+  } catch (e) {
+    // Saved templates are validated; an ad-hoc one with bad syntax goes out as written
+    console.error('Template error:', e.message);
+    return tpl || '';
+  }
+}
+
+function templatePaths(nodes, out = new Set()) {
+  for (const n of nodes) {
+    if (n.type === 'value' || n.type === 'if') {
+      const expr = n.type === 'value' ? n.expr : n.test;
+      for (const op of expr.operands) if (op.path) out.add(op.path);
+    }
+    if (n.type === 'if') {
+      templatePaths(n.body, out);
+      if (n.alt) templatePaths(n.alt, out);
+    }
+  }
+  return out;
+}
+
+// "Nick Name" -> nickName, "VIP level" -> vipLevel
+function columnKey(header) {
+  const words = String(header).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  if (!words.length || /^\d/.test(words[0])) return null;
+  return words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase())).join('');
+}
+
+// client.* variables: every Excel column of the client's row, plus name and phone
+function clientVars(ws, client) {
+  if (!client) return { name: '', phone: '' };
+  const vars = {};
+  if (ws.excelState && client.rowIndex) {
+    const row = ws.excelState.sheet.getRow(client.rowIndex);
+    for (const [header, idx] of Object.entries(ws.excelState.headerMap)) {
+      const key = columnKey(header);
+      if (key) vars[key] = (row.getCell(idx).text || '').trim();
+    }
+  }
+  return { ...vars, name: client.name, phone: client.e164 };
+}
+
+// Render one of the workspace templates in the client's language
+function renderClientTemplate(ws, key, client, vars = {}) {
+  const lang = clientLanguage(ws, client);
+  const set = ws.templates[lang] || ws.templates[DEFAULT_LANGUAGE];
+  return renderTemplate(set[key], { client: clientVars(ws, client), ...vars });
+}
+
+function clientVariableNames(ws) {
+  const keys = new Set(['name', 'phone']);
+  if (ws && ws.excelState) for (const header of Object.keys(ws.excelState.headerMap)) {
+    const key = columnKey(header);
+    if (key) keys.add(key);
+  }
+  return [...keys].map(k => `client.${k}`);
+}
+
+// Parse errors throw; returns the variables the template uses that it can't get.
+// Without a workbook yet any client.* is accepted.
+function unknownTemplateVars(ws, tpl, vars) {
+  const allowed = new Set([...clientVariableNames(ws), ...vars]);
+  const loose = !ws || !ws.excelState;
+  return [...templatePaths(parseTemplate(tpl || ''))]
+    .filter(p => !allowed.has(p) && !(loose && p.startsWith('client.')));
+}
+
+// Check a full set of templates: { errors: {key: msg}, warnings: {key: [vars]} }
+function validateTemplates(ws, templates) {
+  const errors = {};
+  const warnings = {};
+  for (const def of TEMPLATE_CATALOG) {
+    try {
+      const unknown = unknownTemplateVars(ws, templates[def.key], def.vars);
+      if (unknown.length) warnings[def.key] = unknown;
+    } catch (e) {
+      errors[def.key] = e.message;
+    }
+  }
+  return { errors, warnings };
 }
 
 // ---------------------- Workspaces ----------------------
 /**
  * Each workspace:
  * {
- *   id, name, baseDir, uploadDir, exportDir,
+ *   id, name, ownerId, baseDir, uploadDir, exportDir, createdAt,
+ *   feedToken,  // lets calendar apps read calendar.ics without logging in
  *   excelState: { filePath, workbook, sheet, headerMap },
- *   clientsByWa: Map('whatsapp:+...' -> { name, phone, rowIndex, status, lastNotified }),
- *   statusByDigits: Map(digits -> { confirmed, pending, notified, rowIndices }),
- *   availabilitySlots: [{id,start,end,label,booked,bookedBy}],
+ *   clientsByWa: Map('whatsapp:+...' -> { name, phone, e164, rowIndex, status, lastNotified, timezone, language, removed }),
+ *   statusByDigits: Map(E.164 digits -> { confirmed, pending, notified, rowIndices }),
+ *   phoneIssues: [{ row, name, phone, reason }],  // rows skipped for a bad number
+ *   availabilitySlots: [{id,typeId,start,end,label,capacity,booked,blocked,attendees,holds}],  // blocked = not offered
+ *   nextSlotId: number for the next S<n>; IDs are never reused,
+ *     attendees: [{ wa, bookedAt, remindersSent, eventUid }],  // booked = no seats left
+ *     holds: [{ wa, until }],  // seats held for waitlisted clients
  *   lastBroadcastOrder: [slotId, ...],
- *   templatesPath, templates: { broadcast, confirm }
+ *   pendingReschedule: { 'whatsapp:+...': slotId|null },  // RESCHEDULE awaiting a new pick
+ *   calendarEvents: { uid -> { uid, wa, name, phone, title, start, end, sequence, status, updatedAt } },
+ *   waitlist: [{ wa, joinedAt, preferredDays: [0-6], previousStatus, passed: [slotKey] }],  // in queue order
+ *   contacts: { 'whatsapp:+...': { outreachAt, repliedAt } },  // for routing replies between workspaces
+ *   versions: [{ file, at, mode, source, summary }],  // every client list the workspace has used, oldest first
+ *   lastBroadcastTypeId: meeting type offered by the last broadcast (null = all),
+ *   settings: { timezone, defaultCountry, defaultLanguage, reminderHours: [24, 1], meetingTypes: [{ id, label, duration, buffer, capacity }],
+ *               importMapping: { sheet, columns: { name, phone, country, timezone, language } },
+ *               busyCalendar: { path, name, local, mode: 'drop'|'flag' } },
+ *   templatesPath, templates: { en: { broadcast, confirm, … }, zh: {…}, ms: {…} }
  * }
  */
 const workspaces = new Map();
-// global map from WA number to workspace id for inbound matching
-const waToWs = new Map();
 
 function makeWorkspaceDirs(id) {
   const baseDir = path.join(APP_DATA_DIR, 'workspaces', id);
@@ -201,62 +1172,342 @@ function makeWorkspaceDirs(id) {
   return { baseDir, uploadDir, exportDir };
 }
 
-function loadTemplates(ws) {
-  const fp = path.join(ws.exportDir, 'templates.json');
-  ws.templatesPath = fp;
-  try {
-    if (fs.existsSync(fp)) {
-      const raw = JSON.parse(fs.readFileSync(fp, 'utf8'));
-      ws.templates = {
-        broadcast: typeof raw.broadcast === 'string' && raw.broadcast.trim() ? raw.broadcast : defaultTemplates.broadcast,
-        confirm:   typeof raw.confirm   === 'string' && raw.confirm.trim()   ? raw.confirm   : defaultTemplates.confirm
-      };
-      return;
-    }
-  } catch (e) {
-    console.error(`Failed to load templates for ${ws.id}:`, e.message);
-  }
-  ws.templates = { ...defaultTemplates };
-}
+const DEFAULT_MEETING_TYPE = { id: 'meeting', label: '1-hour meeting', duration: 60, buffer: 0, capacity: 1 };
 
-function saveTemplates(ws, t) {
-  const clean = {
-    broadcast: typeof t.broadcast === 'string' && t.broadcast.trim() ? t.broadcast : defaultTemplates.broadcast,
-    confirm:   typeof t.confirm   === 'string' && t.confirm.trim()   ? t.confirm   : defaultTemplates.confirm
+function defaultSettings() {
+  return {
+    timezone: DEFAULT_TIMEZONE,
+    defaultCountry: DEFAULT_COUNTRY,
+    defaultLanguage: DEFAULT_LANGUAGE,
+    reminderHours: parseReminderHours(process.env.REMINDER_HOURS || '24,1'),
+    meetingTypes: [{ ...DEFAULT_MEETING_TYPE }]
   };
-  fs.writeFileSync(ws.templatesPath, JSON.stringify(clean, null, 2));
-  ws.templates = clean;
-  return clean;
 }
 
-async function loadExcel(filePath) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.readFile(filePath);
-  const sheet = workbook.worksheets[0];
-  if (!sheet) throw new Error('Excel has no sheets');
+function wsTimeZone(ws) {
+  return (ws.settings && ws.settings.timezone) || DEFAULT_TIMEZONE;
+}
 
-  const requiredHeaders = [
-    'Client Name', 'Contact Number', 'Booked Date', 'Booked Time', 'Status', 'Last Notified'
-  ];
+function clientTimeZone(ws, client) {
+  return (client && client.timezone) || wsTimeZone(ws);
+}
 
-  const headerRow = sheet.getRow(1);
-  const existing = (headerRow.values || []).map(v => (typeof v === 'string' ? v.trim() : v));
+function clientLanguage(ws, client) {
+  return (client && client.language) || (ws.settings && ws.settings.defaultLanguage) || DEFAULT_LANGUAGE;
+}
 
-  if (!existing || existing.length <= 1) {
-    headerRow.values = [, ...requiredHeaders];
-    headerRow.commit();
-  } else {
-    const headers = [];
-    for (let i = 1; i <= headerRow.cellCount; i++) {
-      const val = headerRow.getCell(i).value;
-      headers.push(typeof val === 'string' ? val.trim() : String(val || ''));
-    }
-    requiredHeaders.forEach(h => { if (!headers.includes(h)) headers.push(h); });
-    headerRow.values = [, ...headers];
-    headerRow.commit();
-  }
+// Slot labels are stored in the workspace zone; clients elsewhere get theirs
+function slotLabelFor(ws, slot, client) {
+  const tz = clientTimeZone(ws, client);
+  if (tz === wsTimeZone(ws)) return slot.label;
+  return `${humanSlotLabel(slot.start, slot.end, tz)} ${tzAbbr(tz, slot.start)}`;
+}
 
-  // Build headerMap AFTER committing headers
+function relabelSlots(ws) {
+  const tz = wsTimeZone(ws);
+  for (const s of ws.availabilitySlots) s.label = humanSlotLabel(s.start, s.end, tz);
+}
+
+// Validates [{ id?, label, duration, buffer }] and fills in ids from labels
+function parseMeetingTypes(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error('At least one meeting type is required');
+  const seen = new Set();
+  return list.map((t, i) => {
+    const label = String((t && t.label) || '').trim();
+    if (!label) throw new Error(`Meeting type #${i + 1} needs a label`);
+    const duration = parseInt(t.duration, 10);
+    if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+      throw new Error(`"${label}": duration must be 5–480 minutes`);
+    }
+    const buffer = parseInt(t.buffer ?? 0, 10);
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > 240) {
+      throw new Error(`"${label}": buffer must be 0–240 minutes`);
+    }
+    const capacity = parseInt(t.capacity ?? 1, 10);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SLOT_CAPACITY) {
+      throw new Error(`"${label}": seats must be 1–${MAX_SLOT_CAPACITY}`);
+    }
+    let id = String(t.id || label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `type-${i + 1}`;
+    while (seen.has(id)) id = `${id}-${i + 1}`;
+    seen.add(id);
+    return { id, label, duration, buffer, capacity };
+  });
+}
+
+function getMeetingType(ws, typeId) {
+  const types = (ws.settings && ws.settings.meetingTypes) || [];
+  if (!typeId) return types[0] || DEFAULT_MEETING_TYPE;
+  return types.find(t => t.id === typeId) || null;
+}
+
+// Slots created before meeting types existed belong to the default 1-hour type
+function slotTypeId(slot) {
+  return slot.typeId || DEFAULT_MEETING_TYPE.id;
+}
+
+function slotTypeLabel(ws, slot) {
+  const t = getMeetingType(ws, slotTypeId(slot));
+  return t ? t.label : DEFAULT_MEETING_TYPE.label;
+}
+
+// "24, 1" or [24, 1] -> [24, 1] (positive hours, largest first, de-duplicated)
+function parseReminderHours(v) {
+  const list = Array.isArray(v) ? v : String(v || '').split(/[,\s]+/);
+  const hours = list.map(x => Number(x)).filter(x => Number.isFinite(x) && x > 0);
+  return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+function newWorkspace(id, name, ownerId = null) {
+  const { baseDir, uploadDir, exportDir } = makeWorkspaceDirs(id);
+  return {
+    id, name, ownerId, baseDir, uploadDir, exportDir,
+    createdAt: new Date().toISOString(),
+    feedToken: crypto.randomBytes(18).toString('base64url'),
+    excelState: null,
+    clientsByWa: new Map(),
+    statusByDigits: new Map(),
+    phoneIssues: [],
+    availabilitySlots: [],
+    lastBroadcastOrder: [],
+    nextSlotId: 1,
+    lastBroadcastTypeId: null,
+    pendingReschedule: {},
+    calendarEvents: {},
+    waitlist: [],
+    contacts: {},
+    versions: [],
+    settings: defaultSettings(),
+    templatesPath: '',
+    templates: allDefaultTemplates()
+  };
+}
+
+// ---------------------- Persistence ----------------------
+// Registry of workspaces (id, name, current workbook). Slot + broadcast state
+// lives next to each workspace in <baseDir>/state.json; booking status itself
+// is always read back from the workbook.
+const REGISTRY_PATH = path.join(DATA_DIR, 'workspaces', 'index.json');
+
+function readJson(fp, fallback) {
+  try {
+    if (fs.existsSync(fp)) return JSON.parse(fs.readFileSync(fp, 'utf8'));
+  } catch (e) {
+    console.error(`Failed to read ${fp}:`, e.message);
+  }
+  return fallback;
+}
+
+function writeJson(fp, data) {
+  fs.mkdirSync(path.dirname(fp), { recursive: true });
+  const tmp = `${fp}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, fp);
+}
+
+function saveRegistry() {
+  const items = [];
+  for (const ws of workspaces.values()) {
+    items.push({
+      id: ws.id,
+      name: ws.name,
+      ownerId: ws.ownerId || null,
+      createdAt: ws.createdAt,
+      workbook: ws.excelState ? path.basename(ws.excelState.filePath) : null
+    });
+  }
+  writeJson(REGISTRY_PATH, { workspaces: items });
+}
+
+function statePath(ws) {
+  return path.join(ws.baseDir, 'state.json');
+}
+
+function saveWorkspaceState(ws) {
+  writeJson(statePath(ws), {
+    availabilitySlots: ws.availabilitySlots.map(s => ({
+      ...s,
+      start: s.start.toISOString(),
+      end: s.end.toISOString(),
+      booked: !!s.booked
+    })),
+    lastBroadcastOrder: ws.lastBroadcastOrder || [],
+    nextSlotId: ws.nextSlotId,
+    lastBroadcastTypeId: ws.lastBroadcastTypeId || null,
+    pendingReschedule: ws.pendingReschedule || {},
+    calendarEvents: ws.calendarEvents || {},
+    waitlist: ws.waitlist || [],
+    contacts: ws.contacts || {},
+    versions: ws.versions || [],
+    settings: ws.settings,
+    feedToken: ws.feedToken
+  });
+}
+
+// Slots saved before group sessions had a single bookedBy and one held client
+function migrateSlot(slot) {
+  if (!Array.isArray(slot.attendees)) {
+    slot.attendees = slot.bookedBy ? [{
+      wa: slot.bookedBy,
+      bookedAt: slot.bookedAt || null,
+      remindersSent: slot.remindersSent || [],
+      eventUid: slot.eventUid || null
+    }] : [];
+  }
+  if (!Array.isArray(slot.holds)) {
+    slot.holds = slot.heldFor ? [{ wa: slot.heldFor, until: slot.heldUntil }] : [];
+  }
+  for (const k of ['bookedBy', 'bookedAt', 'remindersSent', 'eventUid', 'heldFor', 'heldUntil']) delete slot[k];
+  slot.capacity = slot.capacity || 1;
+  slot.booked = slot.attendees.length >= slot.capacity;
+  slot.blocked = !!slot.blocked;
+  return slot;
+}
+
+function loadWorkspaceState(ws) {
+  const raw = readJson(statePath(ws), null);
+  if (!raw) return;
+  ws.availabilitySlots = (raw.availabilitySlots || []).map(s => migrateSlot({
+    ...s,
+    start: new Date(s.start),
+    end: new Date(s.end)
+  }));
+  ws.lastBroadcastOrder = Array.isArray(raw.lastBroadcastOrder) ? raw.lastBroadcastOrder : [];
+  // Older states numbered slots afresh on every change; carry on after the highest
+  ws.nextSlotId = raw.nextSlotId || ws.availabilitySlots.reduce((n, s) => Math.max(n, parseInt(String(s.id).slice(1), 10) || 0), 0) + 1;
+  ws.lastBroadcastTypeId = raw.lastBroadcastTypeId || null;
+  ws.pendingReschedule = raw.pendingReschedule && typeof raw.pendingReschedule === 'object' ? raw.pendingReschedule : {};
+  ws.calendarEvents = raw.calendarEvents && typeof raw.calendarEvents === 'object' ? raw.calendarEvents : {};
+  ws.waitlist = Array.isArray(raw.waitlist) ? raw.waitlist : [];
+  ws.contacts = raw.contacts && typeof raw.contacts === 'object' ? raw.contacts : {};
+  ws.versions = Array.isArray(raw.versions) ? raw.versions : [];
+  ws.settings = { ...defaultSettings(), ...(raw.settings || {}) };
+  if (raw.feedToken) ws.feedToken = raw.feedToken;
+  relabelSlots(ws);
+}
+
+function latestUpload(uploadDir) {
+  const files = fs.readdirSync(uploadDir)
+    .filter(f => /^clients_\d+\.xlsx$/i.test(f))
+    .sort((a, b) => parseInt(a.replace(/\D/g, ''), 10) - parseInt(b.replace(/\D/g, ''), 10));
+  return files.length ? files[files.length - 1] : null;
+}
+
+async function restoreWorkspace(entry) {
+  const ws = newWorkspace(entry.id, entry.name || `Workspace ${entry.id}`, entry.ownerId || null);
+  if (entry.createdAt) ws.createdAt = entry.createdAt;
+  // Settings first: client numbers are normalized with the saved default country
+  loadTemplates(ws);
+  loadWorkspaceState(ws);
+
+  const workbook = entry.workbook || latestUpload(ws.uploadDir);
+  if (workbook) {
+    const fp = path.join(ws.uploadDir, workbook);
+    if (fs.existsSync(fp)) {
+      const loaded = await loadExcel(fp);
+      ws.excelState = { filePath: fp, ...loaded };
+      buildClientMaps(ws);
+    } else {
+      console.warn(`Workspace ${ws.id}: workbook ${workbook} is missing`);
+    }
+  }
+  workspaces.set(ws.id, ws);
+}
+
+async function restoreWorkspaces() {
+  const registry = readJson(REGISTRY_PATH, { workspaces: [] });
+  const entries = Array.isArray(registry.workspaces) ? registry.workspaces.slice() : [];
+
+  // Pick up workspace folders that predate the registry. Once agents have accounts every
+  // workspace is registered with its owner, so an unregistered folder is left alone.
+  const wsRoot = path.join(APP_DATA_DIR, 'workspaces');
+  if (fs.existsSync(wsRoot)) {
+    const known = new Set(entries.map(e => e.id));
+    for (const id of fs.readdirSync(wsRoot)) {
+      if (known.has(id) || !fs.statSync(path.join(wsRoot, id)).isDirectory()) continue;
+      if (users.length) console.warn(`Skipping unregistered workspace folder ${id}`);
+      else entries.push({ id });
+    }
+  }
+
+  for (const entry of entries) {
+    if (!entry || !entry.id) continue;
+    try {
+      await restoreWorkspace(entry);
+    } catch (e) {
+      console.error(`Failed to restore workspace ${entry.id}:`, e.message);
+    }
+  }
+  saveRegistry();
+  console.log(`Restored ${workspaces.size} workspace(s)`);
+}
+
+function loadTemplates(ws) {
+  const fp = path.join(ws.exportDir, 'templates.json');
+  ws.templatesPath = fp;
+  try {
+    if (fs.existsSync(fp)) {
+      const raw = JSON.parse(fs.readFileSync(fp, 'utf8'));
+      // Older files hold a single (English) set: { broadcast, confirm, … }
+      const byLang = typeof raw.broadcast === 'string' ? { [DEFAULT_LANGUAGE]: raw } : raw;
+      ws.templates = Object.fromEntries(LANGUAGES.map(({ code }) =>
+        [code, cleanTemplates(byLang[code] || {}, null, code)]));
+      return;
+    }
+  } catch (e) {
+    console.error(`Failed to load templates for ${ws.id}:`, e.message);
+  }
+  ws.templates = allDefaultTemplates();
+}
+
+// Saves one language's set. Refuses templates that don't parse; unknown
+// variables are returned as warnings.
+function saveTemplates(ws, lang, t) {
+  const clean = cleanTemplates(t, ws.templates[lang], lang);
+  const { errors, warnings } = validateTemplates(ws, clean);
+  if (Object.keys(errors).length) {
+    const err = new Error(Object.entries(errors).map(([k, msg]) => `${k}: ${msg}`).join('; '));
+    err.templateErrors = errors;
+    throw err;
+  }
+  const next = { ...ws.templates, [lang]: clean };
+  fs.writeFileSync(ws.templatesPath, JSON.stringify(next, null, 2));
+  ws.templates = next;
+  return { templates: clean, warnings };
+}
+
+// Columns the app writes; an uploaded list never overwrites them
+const BOOKING_COLUMNS = ['Booked Date', 'Booked Time', 'Meeting Type', 'Session', 'Status', 'Last Notified', 'Last Reminded'];
+// Dated when a merged upload no longer lists the client; the row and its booking stay
+const REMOVED_COLUMN = 'Removed On';
+
+async function loadExcel(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('Excel has no sheets');
+
+  const requiredHeaders = ['Client Name', 'Contact Number', ...BOOKING_COLUMNS];
+
+  const headerRow = sheet.getRow(1);
+  const existing = (headerRow.values || []).map(v => (typeof v === 'string' ? v.trim() : v));
+  let changed = false;
+
+  if (!existing || existing.length <= 1) {
+    headerRow.values = [, ...requiredHeaders];
+    headerRow.commit();
+    changed = true;
+  } else {
+    const headers = [];
+    for (let i = 1; i <= headerRow.cellCount; i++) {
+      const val = headerRow.getCell(i).value;
+      headers.push(typeof val === 'string' ? val.trim() : String(val || ''));
+    }
+    requiredHeaders.forEach(h => { if (!headers.includes(h)) { headers.push(h); changed = true; } });
+    headerRow.values = [, ...headers];
+    headerRow.commit();
+  }
+
+  // Build headerMap AFTER committing headers
   const headerMap = {};
   for (let i = 1; i <= headerRow.cellCount; i++) {
     const v = headerRow.getCell(i).value;
@@ -271,80 +1522,124 @@ async function loadExcel(filePath) {
     if (c.value === undefined || c.value === null) { c.value = ''; row.commit(); }
   }
 
-  await workbook.xlsx.writeFile(filePath);
+  // Only a file that lacked columns is rewritten, and never in place
+  if (changed) await writeWorkbook(workbook, filePath);
   return { workbook, sheet, headerMap };
 }
 
-async function saveExcel(ws) {
-  if (!ws.excelState) return;
-  await ws.excelState.workbook.xlsx.writeFile(ws.excelState.filePath);
+// Runs `task` once every task queued before it on ws[key] has settled
+function enqueueTask(ws, key, task) {
+  const run = (ws[key] || Promise.resolve()).then(task);
+  ws[key] = run.catch(() => {});
+  return run;
+}
+
+// Every change to a workspace's bookings (replies, agent changes, availability,
+// waitlist, broadcasts and their Pending stamps) runs through one queue in arrival order: the first reply for a seat
+// wins and a decision never sees a half-applied booking. Tasks must not wait on
+// message delivery or queue another booking task.
+function withBookingLock(ws, task) {
+  return enqueueTask(ws, 'bookingQueue', task);
+}
+
+// Writes into a temp file that is then renamed over the original,
+// so a crash mid-write leaves the last good copy.
+async function writeWorkbook(workbook, filePath) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await workbook.xlsx.writeFile(tmp);
+  fs.renameSync(tmp, filePath);
+}
+
+// Saves of one workbook run one at a time
+function saveExcel(ws) {
+  return enqueueTask(ws, 'excelQueue', async () => {
+    if (!ws.excelState) return;
+    const { workbook, filePath } = ws.excelState;
+    await writeWorkbook(workbook, filePath);
+  });
+}
+
+function wsDefaultCountry(ws) {
+  return (ws.settings && ws.settings.defaultCountry) || DEFAULT_COUNTRY;
+}
+
+// E.164 for a sheet row, honouring an optional per-row Country column
+function rowE164(ws, row) {
+  const h = ws.excelState.headerMap;
+  const phoneRaw = (row.getCell(h['Contact Number']).value || '').toString().trim();
+  const countryIdx = h['Country'];
+  const rowCountry = countryIdx ? normalizeCountry(row.getCell(countryIdx).value) : null;
+  return normalizePhone(phoneRaw, rowCountry || wsDefaultCountry(ws));
 }
 
 function buildClientMaps(ws) {
   ws.clientsByWa = new Map();
   ws.statusByDigits = new Map();
+  ws.phoneIssues = [];
 
   const { sheet, headerMap } = ws.excelState;
   const nameIdx  = headerMap['Client Name'];
   const phoneIdx = headerMap['Contact Number'];
   const statusIdx = headerMap['Status'];
   const lnIdx = headerMap['Last Notified'];
+  const tzIdx = headerMap['Timezone'] || headerMap['Time Zone'];  // optional column
+  const langIdx = headerMap['Language'];                           // optional column
+  const removedIdx = headerMap[REMOVED_COLUMN];
 
   for (let r = 2; r <= sheet.rowCount; r++) {
     const row = sheet.getRow(r);
     const name = (row.getCell(nameIdx).value || '').toString().trim();
+    const tzRaw = tzIdx ? (row.getCell(tzIdx).value || '').toString().trim() : '';
+    const timezone = isValidTimeZone(tzRaw) ? tzRaw : null;
+    const language = langIdx ? normalizeLanguage(row.getCell(langIdx).text) : null;
     const phoneRaw = (row.getCell(phoneIdx).value || '').toString().trim();
-    const wa = waFormat(phoneRaw);
+    if (!name && !phoneRaw) continue; // blank row
     const status = (row.getCell(statusIdx).value || '').toString().trim().toLowerCase();
     const lastNotified = row.getCell(lnIdx).value;
-    const digits = phoneDigitsOnly(phoneRaw);
+    const removed = removedIdx ? row.getCell(removedIdx).text.trim() || null : null;
 
-    if (wa) {
-      ws.clientsByWa.set(wa, { name, phone: phoneRaw, rowIndex: r, status, lastNotified });
-      waToWs.set(wa, ws.id); // global mapping for inbound handling
+    const { e164, error } = rowE164(ws, row);
+    if (!e164) {
+      ws.phoneIssues.push({ row: r, name, phone: phoneRaw, reason: error });
+      continue;
     }
+    const wa = `whatsapp:${e164}`;
+    const digits = phoneDigitsOnly(e164);
 
-    if (digits) {
-      let agg = ws.statusByDigits.get(digits);
-      if (!agg) agg = { confirmed: false, pending: false, notified: false, rowIndices: [] };
-      if (status === 'confirmed') agg.confirmed = true;
-      if (status === 'pending')   agg.pending = true;
-      if (lastNotified)           agg.notified = true;
-      agg.rowIndices.push(r);
-      ws.statusByDigits.set(digits, agg);
-    }
+    ws.clientsByWa.set(wa, { name, phone: phoneRaw, e164, rowIndex: r, status, lastNotified, timezone, language, removed });
+
+    let agg = ws.statusByDigits.get(digits);
+    if (!agg) agg = { confirmed: false, pending: false, notified: false, rowIndices: [] };
+    if (status === 'confirmed') agg.confirmed = true;
+    if (status === 'pending')   agg.pending = true;
+    if (lastNotified)           agg.notified = true;
+    agg.rowIndices.push(r);
+    ws.statusByDigits.set(digits, agg);
   }
 }
 
-function findRowByPhone(ws, phoneDigitsRaw) {
-  const sheet = ws.excelState.sheet;
-  const cIdx = ws.excelState.headerMap['Contact Number'];
-  const phoneDigits = phoneDigitsOnly(phoneDigitsRaw);
-  for (let r = 2; r <= sheet.rowCount; r++) {
-    const row = sheet.getRow(r);
-    const val = (row.getCell(cIdx).value || '').toString();
-    const digits = phoneDigitsOnly(val);
-    if (digits && phoneDigits && digits.endsWith(phoneDigits)) return row;
-  }
-  return null;
+// Exact match on the normalized number (pass E.164, or a number in the workspace's country).
+// Uses the row recorded by buildClientMaps rather than re-normalizing the sheet.
+function findRowByPhone(ws, phone) {
+  const { e164 } = normalizePhone(phone, wsDefaultCountry(ws));
+  if (!e164) return null;
+  const client = ws.clientsByWa.get(`whatsapp:${e164}`);
+  return client ? ws.excelState.sheet.getRow(client.rowIndex) : null;
 }
 
+// Re-reads the status of the rows already known for `digits`
 function refreshStatusForDigits(ws, digits) {
-  if (!ws.excelState) return;
+  if (!ws.excelState || !digits) return;
   const sheet = ws.excelState.sheet;
   const h = ws.excelState.headerMap;
 
+  const agg = ws.statusByDigits.get(digits);
+  const client = ws.clientsByWa.get(`whatsapp:+${digits}`);
+  const rowIndices = agg ? agg.rowIndices : client ? [client.rowIndex] : [];
   let confirmed = false, pending = false, notified = false;
-  const rowIndices = [];
 
-  for (let r = 2; r <= sheet.rowCount; r++) {
+  for (const r of rowIndices) {
     const row = sheet.getRow(r);
-    const val = (row.getCell(h['Contact Number']).value || '').toString();
-    const d = phoneDigitsOnly(val);
-    if (!d || !digits) continue;
-    if (!d.endsWith(digits)) continue;
-
-    rowIndices.push(r);
     const st = String(row.getCell(h['Status']).value || '').trim().toLowerCase();
     if (st === 'confirmed') confirmed = true;
     if (st === 'pending')   pending = true;
@@ -354,549 +1649,3131 @@ function refreshStatusForDigits(ws, digits) {
 }
 
 
-function listSlotsForMessage(ws) {
+// Holds that haven't lapsed, other than `wa`'s own
+function activeHolds(slot, wa = null, now = Date.now()) {
+  return slot.holds.filter(h => h.wa !== wa && Date.parse(h.until) > now);
+}
+
+// Seats `wa` could still take: capacity less attendees and seats held for others,
+// none once the agent has blocked the slot
+function seatsLeft(slot, wa = null) {
+  if (slot.blocked) return 0;
+  return slot.capacity - slot.attendees.length - activeHolds(slot, wa).length;
+}
+
+function slotOpen(slot, wa = null) {
+  return seatsLeft(slot, wa) > 0;
+}
+
+function openSlots(ws, typeId = ws.lastBroadcastTypeId) {
+  return ws.availabilitySlots.filter(s => slotOpen(s) && (!typeId || slotTypeId(s) === typeId));
+}
+
+const SEATS_LEFT_TEXT = {
+  en: n => `${n} seat${n === 1 ? '' : 's'} left`,
+  zh: n => `剩余${n}个名额`,
+  ms: n => `${n} tempat lagi`
+};
+
+// Mention the meeting type only when the list mixes several types, and seats
+// left only for group sessions
+function slotLines(ws, numbered, client) {
+  const mixed = new Set(numbered.map(([, s]) => slotTypeId(s))).size > 1;
+  const seatsText = SEATS_LEFT_TEXT[clientLanguage(ws, client)];
+  return numbered.map(([n, s]) => {
+    const notes = [];
+    if (mixed) notes.push(slotTypeLabel(ws, s));
+    if (s.capacity > 1) notes.push(seatsText(seatsLeft(s)));
+    return `${n}) ${slotLabelFor(ws, s, client)}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+  });
+}
+
+const NO_SLOTS_TEXT = {
+  en: '(All slots have been booked)',
+  zh: '（所有时段均已约满）',
+  ms: '(Semua slot telah ditempah)'
+};
+
+function slotList(ws, lines, client) {
+  return lines.length ? lines.join('\n') : NO_SLOTS_TEXT[clientLanguage(ws, client)];
+}
+
+function listSlotsForMessage(ws, typeId, client) {
   // Default list from current open slots (1..n)
-  const lines = ws.availabilitySlots
-    .filter(s => !s.booked)
-    .map((s, i) => `${i + 1}) ${s.label}`);
-  return lines.length ? lines.join('\n') : '(All slots have been booked)';
+  return slotList(ws, slotLines(ws, openSlots(ws, typeId).map((s, i) => [i + 1, s]), client), client);
 }
 
-function listSlotsStable(ws) {
+function listSlotsStable(ws, client) {
   // Use lastBroadcastOrder to preserve numbering; show only available ones
-  if (!ws.lastBroadcastOrder || !ws.lastBroadcastOrder.length) {
-    return listSlotsForMessage(ws);
-  }
-  const idToSlot = new Map(ws.availabilitySlots.map(s => [s.id, s]));
-  const lines = [];
-  ws.lastBroadcastOrder.forEach((slotId, index) => {
-    const slot = idToSlot.get(slotId);
-    if (slot && !slot.booked) {
-      lines.push(`${index + 1}) ${slot.label}`);
-    }
-  });
-  return lines.length ? lines.join('\n') : '(All slots have been booked)';
+  return slotList(ws, slotLines(ws, numberedOpenSlots(ws), client), client);
 }
 
-// ---------------------- Workspace helpers ----------------------
-function requireWS(req, res) {
-  const wsId = req.params.ws;
-  const ws = workspaces.get(wsId);
-  if (!ws) {
-    res.status(404).json({ ok: false, error: 'Workspace not found' });
-    return null;
+// ---------------------- Client import ----------------------
+// Uploads are staged so the agent can pick the sheet, map columns and read the
+// import report before anything is created. The chosen sheet then becomes the
+// workspace workbook, with the mapped headers renamed to the ones the app reads.
+const IMPORT_FIELDS = [
+  { key: 'name', header: 'Client Name', required: true,
+    synonyms: ['client name', 'name', 'full name', 'customer name', 'customer', 'client', 'nama'] },
+  { key: 'phone', header: 'Contact Number', required: true,
+    synonyms: ['contact number', 'contact no', 'mobile', 'mobile no', 'mobile number', 'hp', 'hp no', 'handphone',
+      'phone', 'phone no', 'phone number', 'tel', 'telephone', 'whatsapp', 'whatsapp number', 'contact'] },
+  { key: 'country', header: 'Country', synonyms: ['country', 'country code'] },
+  { key: 'timezone', header: 'Timezone', synonyms: ['timezone', 'time zone', 'tz'] },
+  { key: 'language', header: 'Language', synonyms: ['language', 'lang', 'preferred language'] }
+];
+const RESERVED_HEADERS = new Set([...IMPORT_FIELDS.map(f => f.header), 'Time Zone']);
+const IMPORT_TTL_MS = 60 * 60000;
+const stagedImports = new Map(); // importId -> { filePath, originalName, userId, createdAt }
+
+const headerKey = h => String(h || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function stageImport(file, userId) {
+  const now = Date.now();
+  for (const [id, s] of stagedImports) {
+    if (now - s.createdAt > IMPORT_TTL_MS) { fs.rmSync(s.filePath, { force: true }); stagedImports.delete(id); }
   }
-  return ws;
+  const id = crypto.randomBytes(8).toString('hex');
+  stagedImports.set(id, { filePath: file.path, originalName: file.originalname, userId, createdAt: now });
+  return id;
 }
 
-// ---------------------- Pages (workspaces) ----------------------
-app.get('/workspaces', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'workspaces.html'));
-});
-app.get('/w/:ws/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-app.get('/w/:ws/format', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'format.html'));
-});
-app.get('/w/:ws/excel', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'excel.html'));
-});
-app.get('/w/:ws/followup', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'followup.html'));
-});
+function stagedImport(importId, userId) {
+  const s = stagedImports.get(String(importId || ''));
+  if (!s || s.userId !== userId || !fs.existsSync(s.filePath)) {
+    throw new Error('That upload has expired, please choose the file again');
+  }
+  return s;
+}
 
-// ---------------------- API: workspaces ----------------------
-app.get('/api/workspaces', (req, res) => {
-  const items = [];
-  for (const ws of workspaces.values()) {
-    items.push({
-      id: ws.id,
-      name: ws.name || `Workspace ${ws.id}`,
-      workbookName: ws.excelState ? path.basename(ws.excelState.filePath) : null,
-      totalClients: ws.clientsByWa ? ws.clientsByWa.size : 0
-    });
+// { sheet, mapping } from a JSON body, or a form where mapping is a JSON string
+function importChoice(body = {}) {
+  let mapping = body.mapping;
+  if (typeof mapping === 'string') {
+    try { mapping = JSON.parse(mapping); } catch { throw new Error('mapping must be a JSON object'); }
   }
-  res.json({ ok: true, workspaces: items });
-});
+  return { sheet: body.sheet ? String(body.sheet) : null, mapping: mapping && typeof mapping === 'object' ? mapping : null };
+}
 
-// Create workspace by uploading an Excel
-app.post('/api/workspaces', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) throw new Error('No Excel uploaded');
+function isCsv(name) {
+  return /\.csv$/i.test(name || '');
+}
 
-    const id = Math.random().toString(36).slice(2, 8);
-    const { baseDir, uploadDir, exportDir } = makeWorkspaceDirs(id);
-    const ws = {
-      id, name: req.file.originalname, baseDir, uploadDir, exportDir,
-      excelState: null,
-      clientsByWa: new Map(),
-      statusByDigits: new Map(),
-      availabilitySlots: [],
-      lastBroadcastOrder: [],
-      templatesPath: '',
-      templates: { ...defaultTemplates }
-    };
+// Exports from some locales use ";" or tabs; go with whichever the header line has most of
+function csvDelimiter(filePath) {
+  const first = fs.readFileSync(filePath, 'utf8').split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].map(d => [d, first.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+}
 
-    // Move uploaded file into workspace uploadDir
-    const dest = path.join(uploadDir, `clients_${Date.now()}${path.extname(req.file.originalname)}`);
-    fs.renameSync(req.file.path, dest);
+async function readImportWorkbook(staged) {
+  const workbook = new ExcelJS.Workbook();
+  if (isCsv(staged.originalName)) {
+    // Keep every cell as text so "+65…" and leading zeros survive
+    await workbook.csv.readFile(staged.filePath, { parserOptions: { delimiter: csvDelimiter(staged.filePath) }, map: v => v });
+  } else {
+    await workbook.xlsx.readFile(staged.filePath);
+  }
+  if (!workbook.worksheets.length) throw new Error('The file has no sheets');
+  return workbook;
+}
 
-    // Load Excel
-    const loaded = await loadExcel(dest);
-    ws.excelState = { filePath: dest, ...loaded };
-    buildClientMaps(ws);
+function sheetHeaders(sheet) {
+  const row = sheet.getRow(1);
+  const headers = [];
+  for (let i = 1; i <= row.cellCount; i++) headers.push(row.getCell(i).text.trim());
+  return headers;
+}
 
-    // Templates
-    loadTemplates(ws);
+// Column for each field: the one asked for if the sheet has it, else a header that
+// looks like it. An empty string leaves an optional field unmapped.
+function resolveMapping(headers, given = {}) {
+  const mapping = {};
+  for (const f of IMPORT_FIELDS) {
+    const wanted = given[f.key];
+    if (wanted && headers.includes(wanted)) { mapping[f.key] = wanted; continue; }
+    if (wanted === '' && !f.required) continue;
+    const match = f.synonyms.map(s => headers.find(h => headerKey(h) === s)).find(Boolean);
+    if (match) mapping[f.key] = match;
+  }
+  return mapping;
+}
 
-    workspaces.set(id, ws);
+function mappingErrors(mapping) {
+  const errors = IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]).map(f => `Choose the column that holds ${f.header}`);
+  const used = Object.values(mapping);
+  if (new Set(used).size !== used.length) errors.push('Each column can only be used for one field');
+  return errors;
+}
 
-    res.json({ ok: true, id, workbookName: path.basename(dest), totalClients: ws.clientsByWa.size });
-  } catch (err) {
-    console.error(err);
-    res.status(400).json({ ok: false, error: err.message });
+// The sheet asked for, else the first one with a name and a phone column
+function pickSheet(workbook, name, given) {
+  if (name) {
+    const sheet = workbook.getWorksheet(name);
+    if (!sheet) throw new Error(`No sheet named "${name}"`);
+    return sheet;
   }
-});
+  return workbook.worksheets.find(s => {
+    const m = resolveMapping(sheetHeaders(s), given);
+    return m.name && m.phone;
+  }) || workbook.worksheets[0];
+}
 
-// Delete a workspace
-app.delete('/api/workspaces/:id', (req, res) => {
-  try {
-    const id = req.params.id;
-    const ws = workspaces.get(id);
-    if (!ws) {
-      return res.status(404).json({ ok: false, error: 'Workspace not found' });
-    }
+// Blank rows are ignored; rows without a usable number are skipped; a number seen
+// on an earlier row is reported as a duplicate (the client is messaged once)
+function importReport(sheet, mapping, defaultCountry) {
+  const headers = sheetHeaders(sheet);
+  const col = key => (mapping[key] ? headers.indexOf(mapping[key]) + 1 : 0);
+  const [nameIdx, phoneIdx, countryIdx] = [col('name'), col('phone'), col('country')];
+  const report = { totalRows: 0, loaded: 0, skipped: 0, invalidPhones: [], duplicates: [] };
+  if (!nameIdx || !phoneIdx) return report;
 
-    // Remove WA number → workspace mapping
-    if (ws.clientsByWa) {
-      for (const wa of ws.clientsByWa.keys()) {
-        waToWs.delete(wa);
-      }
+  const firstRow = new Map(); // e164 -> row
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const name = row.getCell(nameIdx).text.trim();
+    const phone = row.getCell(phoneIdx).text.trim();
+    if (!name && !phone) continue;
+    report.totalRows++;
+    const rowCountry = countryIdx ? normalizeCountry(row.getCell(countryIdx).value) : null;
+    const { e164, error } = normalizePhone(phone, rowCountry || defaultCountry);
+    if (!e164) {
+      report.invalidPhones.push({ row: r, name, phone, reason: error });
+    } else if (firstRow.has(e164)) {
+      report.duplicates.push({ row: r, name, phone: e164, firstRow: firstRow.get(e164) });
+    } else {
+      firstRow.set(e164, r);
+      report.loaded++;
     }
+  }
+  report.skipped = report.invalidPhones.length;
+  return report;
+}
 
-    // Remove from memory
-    workspaces.delete(id);
+// Resolves the sheet and mapping for a staged file; `given` is { sheet, mapping }
+// from the request, falling back to what the workspace used last time
+async function prepareImport(staged, given, ws = null) {
+  const remembered = (ws && ws.settings.importMapping) || {};
+  const workbook = await readImportWorkbook(staged);
+  const wantedSheet = given.sheet || (remembered.sheet && workbook.getWorksheet(remembered.sheet) ? remembered.sheet : null);
+  const wantedColumns = given.mapping || remembered.columns || {};
+  const sheet = pickSheet(workbook, isCsv(staged.originalName) ? null : wantedSheet, wantedColumns);
+  const headers = sheetHeaders(sheet);
+  const mapping = resolveMapping(headers, wantedColumns);
+  const report = importReport(sheet, mapping, ws ? wsDefaultCountry(ws) : DEFAULT_COUNTRY);
+  return { workbook, sheet, headers, mapping, report, errors: mappingErrors(mapping) };
+}
 
-    // Delete files on disk
-    try {
-      fs.rmSync(ws.baseDir, { recursive: true, force: true });
-    } catch (e) {
-      // Non-fatal if directory already gone
-      console.warn(`Failed to rm ${ws.baseDir}:`, e.message);
-    }
+function importPreview(importId, staged, prepared) {
+  const { workbook, sheet, headers, mapping, report, errors } = prepared;
+  return {
+    ok: true,
+    importId,
+    fileName: staged.originalName,
+    sheets: workbook.worksheets.map(s => s.name),
+    sheet: sheet.name,
+    headers,
+    fields: IMPORT_FIELDS.map(({ key, header, required }) => ({ key, header, required: !!required })),
+    mapping,
+    errors,
+    report
+  };
+}
 
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('Delete workspace error:', err);
-    res.status(500).json({ ok: false, error: err.message });
+// The upload behind a request: a staged import ({ importId, sheet, mapping }) or, as
+// before, a file posted directly. Throws when the name or phone column can't be found.
+async function uploadedClients(req, ws) {
+  const importId = req.body && req.body.importId;
+  let staged;
+  if (req.file) staged = { filePath: req.file.path, originalName: req.file.originalname };
+  else if (importId) staged = stagedImport(importId, req.user.id);
+  else throw new Error('No Excel or CSV uploaded');
+
+  const prepared = await prepareImport(staged, importChoice(req.body), ws);
+  if (prepared.errors.length) {
+    throw new Error(`${prepared.errors.join('; ')}. Columns in "${prepared.sheet.name}": ${prepared.headers.join(', ')}`);
   }
-});
+  return { importId, staged, prepared };
+}
 
+// Loads an upload as the workspace's client list and remembers the sheet and mapping
+// for next time. `replace` swaps in the uploaded sheet; `merge` keeps the current
+// workbook (see mergeClientList). With `dryRun` nothing changes and only the report
+// and the diff against the current list come back.
+async function importClients(req, ws, { mode = 'replace', dryRun = false } = {}) {
+  const { importId, staged, prepared } = await uploadedClients(req, ws);
+  const incoming = ws.excelState ? incomingClients(ws, prepared) : null;
+  const diff = incoming ? clientListDiff(ws, incoming) : null;
+  if (dryRun) {
+    if (req.file) fs.rmSync(staged.filePath, { force: true }); // a staged import stays for the real run
+    return { report: prepared.report, diff };
+  }
 
-// ---------------------- API: per-workspace info ----------------------
-app.get('/api/w/:ws/info', (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  const hasExcel = !!ws.excelState;
-  const workbookName = hasExcel ? path.basename(ws.excelState.filePath) : null;
-  res.json({
-    ok: true,
-    hasExcel,
-    workbookName,
-    totalClients: hasExcel ? ws.clientsByWa.size : 0
+  const dest = path.join(ws.uploadDir, `clients_${Date.now()}.xlsx`);
+  if (mode === 'merge' && ws.excelState) {
+    await saveExcel(ws); // the version being superseded is complete on disk
+    fs.copyFileSync(ws.excelState.filePath, dest);
+    await mergeClientList(ws, dest, incoming, diff);
+  } else {
+    await writeImportedWorkbook(prepared, dest);
+  }
+  fs.rmSync(staged.filePath, { force: true });
+  if (importId) stagedImports.delete(importId);
+
+  const unlistedBookings = await useWorkbook(ws, dest, {
+    mode: ws.excelState ? mode : 'create',
+    source: staged.originalName,
+    summary: diff && diffSummary(diff)
   });
-});
+  ws.settings.importMapping = { sheet: prepared.sheet.name, columns: prepared.mapping };
+  return { report: prepared.report, diff, unlistedBookings };
+}
+
+// Saves the chosen sheet on its own as an .xlsx at `dest`, headers renamed to the
+// app's names. Another column already using one of those names is renamed out of the way.
+async function writeImportedWorkbook(prepared, dest) {
+  const { workbook, sheet, mapping } = prepared;
+  for (const other of workbook.worksheets) if (other !== sheet) workbook.removeWorksheet(other.id);
+
+  const byHeader = Object.fromEntries(Object.entries(mapping).map(([key, h]) => [h, key]));
+  const headerRow = sheet.getRow(1);
+  for (let i = 1; i <= headerRow.cellCount; i++) {
+    const cell = headerRow.getCell(i);
+    const h = cell.text.trim();
+    const key = byHeader[h];
+    if (key) cell.value = IMPORT_FIELDS.find(f => f.key === key).header;
+    else if (RESERVED_HEADERS.has(h)) cell.value = `${h} (not imported)`;
+  }
+  headerRow.commit();
+  await workbook.xlsx.writeFile(dest);
+}
+
+// ---------------------- Client list versions ----------------------
+// Every upload, merge and rollback writes a new clients_<ts>.xlsx and leaves the
+// previous one untouched, so each file is the list as it stood when it was replaced.
+const VERSION_FILE_RE = /^clients_(\d+)\.xlsx$/i;
+
+// Uploaded rows keyed by E.164: { column -> { value, text } } with mapped headers
+// renamed to the app's names. Booking columns and repeated numbers are left out.
+function incomingClients(ws, prepared) {
+  const { sheet, headers, mapping } = prepared;
+  const renamed = Object.fromEntries(Object.entries(mapping).map(([key, h]) => [h, IMPORT_FIELDS.find(f => f.key === key).header]));
+  const ignored = new Set([...BOOKING_COLUMNS, REMOVED_COLUMN]);
+  const clients = new Map();
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const values = {};
+    headers.forEach((h, i) => {
+      const column = renamed[h] || (RESERVED_HEADERS.has(h) ? `${h} (not imported)` : h);
+      if (!h || ignored.has(column)) return;
+      const cell = row.getCell(i + 1);
+      values[column] = { value: cell.value, text: cell.text.trim() };
+    });
+    const phone = values['Contact Number'];
+    const country = values['Country'] ? normalizeCountry(values['Country'].value) : null;
+    const { e164 } = normalizePhone(phone && phone.text, country || wsDefaultCountry(ws));
+    if (e164 && !clients.has(e164)) clients.set(e164, values);
+  }
+  return clients;
+}
+
+// What an upload changes: clients added, clients whose details differ, clients the
+// upload lists again after a merge flagged them, and clients it no longer lists
+function clientListDiff(ws, incoming) {
+  const { sheet, headerMap } = ws.excelState;
+  const diff = { added: [], updated: [], restored: [], removed: [], unchanged: 0 };
+  for (const [e164, values] of incoming) {
+    const client = ws.clientsByWa.get(`whatsapp:${e164}`);
+    const name = values['Client Name'].text;
+    if (!client) { diff.added.push({ name, phone: e164 }); continue; }
+
+    const row = sheet.getRow(client.rowIndex);
+    const changes = {};
+    for (const [column, v] of Object.entries(values)) {
+      if (column === 'Contact Number') continue; // same number, maybe written differently
+      const before = headerMap[column] ? row.getCell(headerMap[column]).text.trim() : '';
+      if (before !== v.text) changes[column] = { from: before, to: v.text };
+    }
+    const entry = { row: client.rowIndex, name, phone: e164 };
+    if (client.removed) diff.restored.push({ ...entry, removedOn: client.removed });
+    if (Object.keys(changes).length) diff.updated.push({ ...entry, changes });
+    else if (!client.removed) diff.unchanged++;
+  }
+  for (const client of ws.clientsByWa.values()) {
+    if (incoming.has(client.e164) || client.removed) continue;
+    const attending = ws.availabilitySlots.find(s => attendeeOf(s, `whatsapp:${client.e164}`));
+    diff.removed.push({
+      row: client.rowIndex,
+      name: client.name,
+      phone: client.e164,
+      status: client.status || '',
+      booking: attending ? attending.label : null
+    });
+  }
+  return diff;
+}
+
+function diffSummary(diff) {
+  return { added: diff.added.length, updated: diff.updated.length, restored: diff.restored.length, removed: diff.removed.length };
+}
+
+// Applies a diff to the copy of the current workbook at `filePath`: new clients are
+// appended, changed details overwritten, and clients the upload no longer lists get
+// a Removed On date instead of being deleted, so their rows and bookings stay.
+// Booking columns are never touched.
+async function mergeClientList(ws, filePath, incoming, diff) {
+  const { workbook, sheet, headerMap } = await loadExcel(filePath);
+  const headerRow = sheet.getRow(1);
+  const col = name => {
+    if (!headerMap[name]) {
+      headerMap[name] = headerRow.cellCount + 1;
+      headerRow.getCell(headerMap[name]).value = name;
+      headerRow.commit();
+    }
+    return headerMap[name];
+  };
+  const setCells = (row, values) => {
+    for (const [column, v] of Object.entries(values)) row.getCell(col(column)).value = v.value;
+    row.commit();
+  };
+
+  for (const u of diff.updated) {
+    setCells(sheet.getRow(u.row), Object.fromEntries(Object.keys(u.changes).map(c => [c, incoming.get(u.phone)[c]])));
+  }
+  for (const r of diff.restored) setCells(sheet.getRow(r.row), { [REMOVED_COLUMN]: { value: '' } });
+  for (const a of diff.added) setCells(sheet.getRow(sheet.rowCount + 1), incoming.get(a.phone));
+  const today = dateKey(zonedParts(new Date(), wsTimeZone(ws)));
+  for (const r of diff.removed) setCells(sheet.getRow(r.row), { [REMOVED_COLUMN]: { value: today } });
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+// A replaced or rolled-back list may lack the booking columns of clients who hold a
+// seat or wait on the waitlist; write those back. Returns bookings whose client the
+// list doesn't have (they stay booked until the agent releases them).
+function reapplyBookings(ws) {
+  const unlisted = [];
+  for (const slot of ws.availabilitySlots) {
+    for (const a of slot.attendees) {
+      const client = ws.clientsByWa.get(a.wa);
+      if (!client) unlisted.push({ phone: a.wa.replace(/^whatsapp:/, ''), slotId: slot.id, slot: slot.label });
+      else if (!bookedLabelFromRow(ws, client)) writeBookingRow(ws, client, slot);
+    }
+  }
+  for (const entry of ws.waitlist) {
+    const client = ws.clientsByWa.get(entry.wa);
+    if (client && !client.status) setRowStatus(ws, client, 'Waitlisted');
+  }
+  return unlisted;
+}
+
+// Switches the workspace to the workbook at `filePath` and records it as a version
+async function useWorkbook(ws, filePath, version) {
+  const loaded = await loadExcel(filePath);
+  ws.excelState = { filePath, ...loaded };
+  buildClientMaps(ws);
+  const unlisted = reapplyBookings(ws);
+  await saveExcel(ws);
+  ws.versions.push({ file: path.basename(filePath), at: new Date().toISOString(), ...version });
+  return unlisted;
+}
+
+// Oldest first; files from before version records were kept get their upload time only
+function workbookVersions(ws) {
+  const records = new Map((ws.versions || []).map(v => [v.file, v]));
+  const current = ws.excelState ? path.basename(ws.excelState.filePath) : null;
+  return fs.readdirSync(ws.uploadDir)
+    .filter(f => VERSION_FILE_RE.test(f))
+    .sort((a, b) => parseInt(a.match(VERSION_FILE_RE)[1], 10) - parseInt(b.match(VERSION_FILE_RE)[1], 10))
+    .map(file => ({
+      at: new Date(parseInt(file.match(VERSION_FILE_RE)[1], 10)).toISOString(),
+      ...records.get(file),
+      file,
+      current: file === current
+    }));
+}
+
+// ---------------------- Auth ----------------------
+// Agents log in with email + password (session cookie) or call the API with a
+// personal token (Authorization: Bearer ...). Workspaces belong to one agent.
+const USERS_PATH = path.join(APP_DATA_DIR, 'users.json');
+const SESSIONS_PATH = path.join(APP_DATA_DIR, 'sessions.json');
+const SECRET_PATH = path.join(APP_DATA_DIR, 'secret.key');
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 30 * 24 * 3600 * 1000;
+
+const APP_SECRET = process.env.APP_SECRET || (() => {
+  if (!fs.existsSync(SECRET_PATH)) fs.writeFileSync(SECRET_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  return fs.readFileSync(SECRET_PATH, 'utf8').trim();
+})();
+
+const users = readJson(USERS_PATH, { users: [] }).users || [];
+const sessions = readJson(SESSIONS_PATH, { sessions: {} }).sessions || {};
+
+const sha256 = v => crypto.createHash('sha256').update(String(v)).digest('hex');
+const hmac = v => crypto.createHmac('sha256', APP_SECRET).update(String(v)).digest('base64url');
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(String(password), salt, 64).toString('hex') };
+}
+
+function saveUsers() {
+  writeJson(USERS_PATH, { users });
+}
+
+function saveSessions() {
+  const now = Date.now();
+  for (const [k, v] of Object.entries(sessions)) if (v.expiresAt < now) delete sessions[k];
+  writeJson(SESSIONS_PATH, { sessions });
+}
+
+function publicUser(u) {
+  return { id: u.id, email: u.email, name: u.name };
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function authenticate(req) {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    const h = sha256(bearer[1].trim());
+    return users.find(u => (u.apiTokens || []).some(t => t.hash === h)) || null;
+  }
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (!sid) return null;
+  const sess = sessions[sha256(sid)];
+  if (!sess || sess.expiresAt < Date.now()) return null;
+  return users.find(u => u.id === sess.userId) || null;
+}
+
+function startSession(req, res, user) {
+  const sid = crypto.randomBytes(32).toString('base64url');
+  sessions[sha256(sid)] = { userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS };
+  saveSessions();
+  const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sid}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${secure ? '; Secure' : ''}`);
+}
+
+function endSession(req, res) {
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (sid) { delete sessions[sha256(sid)]; saveSessions(); }
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+// Only the first account signs itself up; later agents are added by an existing one
+// (or sign up themselves if the operator sets ALLOW_SIGNUP=true)
+function signupOpen() {
+  return !users.length || process.env.ALLOW_SIGNUP === 'true';
+}
+
+function createUser({ email, password, name }) {
+  email = String(email || '').trim().toLowerCase();
+  password = String(password || '');
+  name = String(name || '').trim();
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new Error('A valid email is required');
+  if (password.length < 8) throw new Error('Password must be at least 8 characters');
+  if (users.some(u => u.email === email)) throw new Error('That email is already registered');
+
+  const { salt, hash } = hashPassword(password);
+  const user = {
+    id: crypto.randomUUID(), email, name: name || email,
+    salt, passwordHash: hash, apiTokens: [],
+    createdAt: new Date().toISOString()
+  };
+  users.push(user);
+  saveUsers();
+  adoptOwnerlessWorkspaces();
+  return user;
+}
+
+// Workspaces from before accounts existed belong to nobody until the operator names
+// their agent with ADOPT_WORKSPACES_EMAIL; being first to register is not enough
+function adoptOwnerlessWorkspaces() {
+  const email = String(process.env.ADOPT_WORKSPACES_EMAIL || '').trim().toLowerCase();
+  const user = email && users.find(u => u.email === email);
+  if (!user) return;
+  let adopted = 0;
+  for (const ws of workspaces.values()) if (!ws.ownerId) { ws.ownerId = user.id; adopted++; }
+  if (!adopted) return;
+  saveRegistry();
+  console.log(`Gave ${adopted} workspace(s) without an owner to ${user.email}`);
+}
+
+// API routes that authorise themselves: login, and the signed links calendar apps / Twilio fetch
+function isPublicApi(req) {
+  if (['/auth/login', '/auth/register', '/auth/status'].includes(req.path)) return true;
+  return /^\/w\/[^/]+\/(calendar\.ics|invites\/[^/]+\.ics)$/.test(req.path);
+}
+
+app.use('/api', (req, res, next) => {
+  req.user = authenticate(req);
+  if (req.user || isPublicApi(req)) return next();
+  res.status(401).json({ ok: false, error: 'Login required' });
+});
+
+function requirePageAuth(req, res, next) {
+  req.user = authenticate(req);
+  if (req.user) return next();
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// Twilio signs every webhook with the auth token; anything unsigned is rejected
+function twilioWebhookUrl(req) {
+  const base = PUBLIC_BASE_URL ? PUBLIC_BASE_URL.replace(/\/+$/, '') : `${req.protocol}://${req.get('host')}`;
+  return `${base}${req.originalUrl}`;
+}
+
+function requireTwilioSignature(req, res, next) {
+  if (process.env.SKIP_TWILIO_SIGNATURE === 'true') return next();
+  if (!TWILIO_AUTH_TOKEN) {
+    console.warn('Rejected webhook: TWILIO_AUTH_TOKEN is not set, so the signature cannot be checked');
+    return res.status(403).send('Forbidden');
+  }
+  const signature = req.get('X-Twilio-Signature') || '';
+  if (!validateRequest(TWILIO_AUTH_TOKEN, signature, twilioWebhookUrl(req), req.body || {})) {
+    console.warn(`Rejected webhook with a bad signature from ${req.ip}`);
+    return res.status(403).send('Forbidden');
+  }
+  next();
+}
+
+// ---------------------- Pages + API: auth ----------------------
+app.get('/', (req, res) => res.redirect('/workspaces'));
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+app.get('/logout', (req, res) => {
+  endSession(req, res);
+  res.redirect('/login');
+});
+
+app.get('/api/auth/status', (req, res) => {
+  res.json({ ok: true, user: req.user ? publicUser(req.user) : null, signupOpen: signupOpen() });
+});
+
+app.post('/api/auth/register', (req, res) => {
+  try {
+    if (!signupOpen()) return res.status(403).json({ ok: false, error: 'Sign-up is closed; ask an existing agent to add you' });
+    const user = createUser(req.body || {});
+    startSession(req, res, user);
+    res.json({ ok: true, user: publicUser(user) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const email = String((req.body || {}).email || '').trim().toLowerCase();
+  const password = String((req.body || {}).password || '');
+  const user = users.find(u => u.email === email);
+  if (!user || !safeEqual(hashPassword(password, user.salt).hash, user.passwordHash)) {
+    return res.status(401).json({ ok: false, error: 'Wrong email or password' });
+  }
+  startSession(req, res, user);
+  res.json({ ok: true, user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ ok: true, user: publicUser(req.user) });
+});
+
+// An agent adds another with a starting password to pass on; each agent still sees only their own workspaces
+app.post('/api/auth/users', (req, res) => {
+  try {
+    const user = createUser(req.body || {});
+    res.json({ ok: true, user: publicUser(user) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Personal API tokens: shown once on creation, only the hash is kept
+app.get('/api/auth/tokens', (req, res) => {
+  const tokens = (req.user.apiTokens || []).map(t => ({ id: t.id, label: t.label, createdAt: t.createdAt }));
+  res.json({ ok: true, tokens });
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  const token = `wat_${crypto.randomBytes(24).toString('base64url')}`;
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    label: String((req.body || {}).label || 'API token').slice(0, 80),
+    hash: sha256(token),
+    createdAt: new Date().toISOString()
+  };
+  req.user.apiTokens = [...(req.user.apiTokens || []), entry];
+  saveUsers();
+  res.json({ ok: true, id: entry.id, label: entry.label, token });
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  const before = (req.user.apiTokens || []).length;
+  req.user.apiTokens = (req.user.apiTokens || []).filter(t => t.id !== req.params.id);
+  if (req.user.apiTokens.length === before) return res.status(404).json({ ok: false, error: 'Token not found' });
+  saveUsers();
+  res.json({ ok: true });
+});
+
+// ---------------------- Workspace helpers ----------------------
+function ownsWorkspace(user, ws) {
+  return !!user && !!ws && ws.ownerId === user.id;
+}
+
+// Someone else's workspace looks exactly like a missing one
+function requireWS(req, res) {
+  const wsId = req.params.ws;
+  const ws = workspaces.get(wsId);
+  if (!ownsWorkspace(req.user, ws)) {
+    res.status(404).json({ ok: false, error: 'Workspace not found' });
+    return null;
+  }
+  return ws;
+}
+
+// Handler for a route that changes bookings: runs under the workspace's booking lock
+function bookingRoute(handler) {
+  return async (req, res) => {
+    const ws = requireWS(req, res); if (!ws) return;
+    await withBookingLock(ws, () => handler(req, res, ws));
+  };
+}
+
+// ---------------------- Pages (workspaces) ----------------------
+app.get('/workspaces', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'workspaces.html'));
+});
+app.get('/w/:ws/', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+app.get('/w/:ws/format', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'format.html'));
+});
+app.get('/w/:ws/excel', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'excel.html'));
+});
+app.get('/w/:ws/followup', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'followup.html'));
+});
+
+// ---------------------- API: workspaces ----------------------
+app.get('/api/workspaces', (req, res) => {
+  const items = [];
+  for (const ws of workspaces.values()) {
+    if (!ownsWorkspace(req.user, ws)) continue;
+    items.push({
+      id: ws.id,
+      name: ws.name || `Workspace ${ws.id}`,
+      workbookName: ws.excelState ? path.basename(ws.excelState.filePath) : null,
+      totalClients: ws.clientsByWa ? ws.clientsByWa.size : 0
+    });
+  }
+  res.json({ ok: true, workspaces: items });
+});
+
+// Stage an Excel/CSV upload, or re-read a staged one with another sheet or mapping,
+// and report what would be imported. Nothing is created yet.
+app.post('/api/imports', upload.single('file'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const importId = req.file ? stageImport(req.file, req.user.id) : body.importId;
+    const staged = stagedImport(importId, req.user.id);
+    const target = body.workspaceId ? workspaces.get(String(body.workspaceId)) : null;
+    const ws = ownsWorkspace(req.user, target) ? target : null;
+    const prepared = await prepareImport(staged, req.file ? {} : importChoice(body), ws);
+    res.json(importPreview(importId, staged, prepared));
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Create workspace from a staged import (or an Excel posted directly)
+app.post('/api/workspaces', upload.single('file'), async (req, res) => {
+  let ws = null;
+  try {
+    const staged = !req.file && req.body && req.body.importId ? stagedImport(req.body.importId, req.user.id) : null;
+    if (!req.file && !staged) throw new Error('No Excel or CSV uploaded');
+
+    const id = Math.random().toString(36).slice(2, 8);
+    ws = newWorkspace(id, req.file ? req.file.originalname : staged.originalName, req.user.id);
+    const { report } = await importClients(req, ws);
+
+    // Templates
+    loadTemplates(ws);
+
+    workspaces.set(id, ws);
+    saveWorkspaceState(ws);
+    saveRegistry();
+
+    res.json({ ok: true, id, workbookName: path.basename(ws.excelState.filePath), totalClients: ws.clientsByWa.size, invalidNumbers: ws.phoneIssues, report });
+  } catch (err) {
+    // A failed import leaves no folder behind to be restored as an ownerless workspace
+    if (ws && !workspaces.has(ws.id)) fs.rmSync(ws.baseDir, { recursive: true, force: true });
+    console.error(err);
+    res.status(400).json({ ok: false, error: err.message });
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+  }
+});
+
+// Delete a workspace
+app.delete('/api/workspaces/:id', (req, res) => {
+  try {
+    const id = req.params.id;
+    const ws = workspaces.get(id);
+    if (!ownsWorkspace(req.user, ws)) {
+      return res.status(404).json({ ok: false, error: 'Workspace not found' });
+    }
+
+    // Remove from memory; inbound routing only looks at live workspaces
+    workspaces.delete(id);
+    saveRegistry();
+
+    // Delete files on disk
+    try {
+      fs.rmSync(ws.baseDir, { recursive: true, force: true });
+    } catch (e) {
+      // Non-fatal if directory already gone
+      console.warn(`Failed to rm ${ws.baseDir}:`, e.message);
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Delete workspace error:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+
+// ---------------------- API: per-workspace info ----------------------
+app.get('/api/w/:ws/info', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const hasExcel = !!ws.excelState;
+  const workbookName = hasExcel ? path.basename(ws.excelState.filePath) : null;
+  res.json({
+    ok: true,
+    hasExcel,
+    workbookName,
+    totalClients: hasExcel ? ws.clientsByWa.size : 0,
+    invalidNumbers: ws.phoneIssues || [],
+    calendarFeedPath: `/api/w/${ws.id}/calendar.ics?token=${encodeURIComponent(ws.feedToken)}`
+  });
+});
+
+// Update the client list of an existing workspace (staged import or a file). `mode` is
+// merge (default: keeps bookings, flags clients no longer listed) or replace;
+// ?dryRun=true returns the diff against the current list without changing anything.
+app.post('/api/w/:ws/upload-clients', upload.single('file'), bookingRoute(async (req, res, ws) => {
+  try {
+    const mode = (req.body && req.body.mode) || 'merge';
+    if (!['merge', 'replace'].includes(mode)) throw new Error('mode must be merge or replace');
+    const dryRun = isTrue(req.query.dryRun);
+    const result = await importClients(req, ws, { mode, dryRun });
+    if (dryRun) return res.json({ ok: true, dryRun: true, mode, ...result });
+
+    saveWorkspaceState(ws);
+    saveRegistry();
+    res.json({ ok: true, message: 'Excel loaded', mode, filePath: ws.excelState.filePath, totalClients: ws.clientsByWa.size, invalidNumbers: ws.phoneIssues, ...result });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ ok: false, error: err.message });
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+  }
+}));
+
+// ---------------------- API: client list versions ----------------------
+function requireVersion(ws, res, file) {
+  if (!VERSION_FILE_RE.test(file) || !fs.existsSync(path.join(ws.uploadDir, file))) {
+    res.status(404).json({ ok: false, error: 'Version not found' });
+    return null;
+  }
+  return path.join(ws.uploadDir, file);
+}
+
+app.get('/api/w/:ws/versions', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  res.json({ ok: true, versions: workbookVersions(ws).reverse() });
+});
+
+app.get('/api/w/:ws/versions/:file', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const fp = requireVersion(ws, res, req.params.file); if (!fp) return;
+  res.download(fp, req.params.file);
+});
+
+// Roll back: the old file is copied in as a new version, so the rollback can itself be undone.
+// Current bookings are written back onto it.
+app.post('/api/w/:ws/versions/:file/restore', bookingRoute(async (req, res, ws) => {
+  const fp = requireVersion(ws, res, req.params.file); if (!fp) return;
+  try {
+    await saveExcel(ws);
+    const dest = path.join(ws.uploadDir, `clients_${Date.now()}.xlsx`);
+    fs.copyFileSync(fp, dest);
+    const unlistedBookings = await useWorkbook(ws, dest, { mode: 'rollback', source: req.params.file });
+    saveWorkspaceState(ws);
+    saveRegistry();
+    res.json({ ok: true, workbookName: path.basename(dest), totalClients: ws.clientsByWa.size, invalidNumbers: ws.phoneIssues, unlistedBookings });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ ok: false, error: err.message });
+  }
+}));
+
+// ---------------------- API: availability ----------------------
+// Availability text -> new slots of `type`. A slot that already exists (same type
+// and times) comes back in `existing` instead of being created twice. Slots that
+// clash with the busy calendar are left out (mode drop) or kept and listed (flag).
+function expandAvailability(ws, type, text, buffer, busy = null) {
+  const tz = wsTimeZone(ws);
+  const byTime = new Map(ws.availabilitySlots.filter(s => slotTypeId(s) === type.id).map(s => [s.start.getTime(), s]));
+  const { ranges, unparsed, excluded } = parseAvailabilityText(text, new Date(), tz);
+  const created = [];
+  const existing = [];
+  const conflicts = [];
+  const clashing = [];  // existing slots a drop-mode clash leaves out; the caller drops or blocks them
+  for (const range of ranges) {
+    const capacity = range.capacity || type.capacity || 1;
+    for (const h of expandToBufferedSlots(range.start, range.end, type.duration, buffer)) {
+      const clash = busyConflict(busy, h.start, h.end);
+      const same = byTime.get(h.start.getTime());
+      const conflict = clash && {
+        slot: humanSlotLabel(h.start, h.end, tz),
+        action: busy.mode === 'flag' ? 'flagged' : 'removed',
+        busyWith: busyEventLabel(ws, clash)
+      };
+      if (conflict) conflicts.push(conflict);
+      const isSame = same && same.end.getTime() === h.end.getTime();
+      if (conflict && busy.mode !== 'flag') {
+        if (isSame) {
+          conflict.id = same.id;
+          clashing.push({ slot: same, conflict });
+        }
+        continue;
+      }
+      if (isSame) {
+        if (conflict) conflict.id = same.id;
+        existing.push({ slot: same, capacity });
+        continue;
+      }
+      const slot = {
+        id: `S${ws.nextSlotId++}`,
+        typeId: type.id,
+        start: h.start,
+        end: h.end,
+        label: humanSlotLabel(h.start, h.end, tz),
+        capacity,
+        booked: false,
+        blocked: false,
+        attendees: [],
+        holds: []
+      };
+      if (conflict) conflict.id = slot.id;
+      byTime.set(h.start.getTime(), slot);
+      created.push(slot);
+    }
+  }
+  return { created, existing, conflicts, clashing, unparsed, excluded };
+}
+
+// Adds slots without touching the ones clients already have. If a broadcast is
+// current, new slots of its type get the next numbers after the ones sent.
+function addSlots(ws, slots) {
+  ws.availabilitySlots.push(...slots);
+  ws.availabilitySlots.sort((a, b) => a.start - b.start);
+  if (ws.lastBroadcastOrder.length) {
+    const offered = slots.filter(s => !ws.lastBroadcastTypeId || slotTypeId(s) === ws.lastBroadcastTypeId);
+    ws.lastBroadcastOrder.push(...offered.sort((a, b) => a.start - b.start).map(s => s.id));
+  }
+}
+
+function slotSummary(s) {
+  return s.capacity > 1 ? `${s.label} (${s.capacity} seats)` : s.label;
+}
+
+// The meeting type and buffer a request asks for; answers the request and returns null if unknown
+function availabilityType(ws, res, body) {
+  const { bufferMinutes, meetingTypeId } = body;
+  const type = getMeetingType(ws, meetingTypeId);
+  if (!type) {
+    res.status(400).json({ ok:false, error:`Unknown meeting type: ${meetingTypeId}` });
+    return null;
+  }
+  // Legacy callers may still pass bufferMinutes; otherwise the type decides
+  const bufOverride = parseInt(bufferMinutes, 10);
+  const buffer = bufferMinutes !== undefined && !meetingTypeId && Number.isInteger(bufOverride) && bufOverride >= 0
+    ? bufOverride
+    : type.buffer;
+  return { type, buffer };
+}
+
+// Replaces a meeting type's availability with the pasted text. Slots that are still
+// listed keep their ID, bookings and broadcast number. Slots no longer listed are
+// dropped (waitlist holds on them end), except booked ones: those are kept but
+// blocked, for the agent to remove (and the clients to be told) explicitly.
+app.post('/api/w/:ws/set-availability', bookingRoute(async (req, res, ws) => {
+  try {
+    const { availabilityText } = req.body || {};
+    if (!availabilityText) return res.status(400).json({ ok:false, error:'availabilityText is required' });
+    const chosen = availabilityType(ws, res, req.body || {}); if (!chosen) return;
+    const { type, buffer } = chosen;
+
+    const tz = wsTimeZone(ws);
+    const busy = loadBusyCalendar(ws);
+    const { created, existing, conflicts, clashing, unparsed, excluded } = expandAvailability(ws, type, availabilityText, buffer, busy);
+    const listed = new Set(existing.map(e => e.slot));
+    for (const { slot, capacity } of existing) {
+      slot.capacity = Math.max(capacity, slot.attendees.length);
+      slot.booked = slot.attendees.length >= slot.capacity;
+    }
+    const keptBooked = [];
+    const releasedHolds = [];
+    ws.availabilitySlots = ws.availabilitySlots.filter(s => {
+      if (slotTypeId(s) !== type.id || listed.has(s)) return true;
+      releasedHolds.push(...releaseSlotHolds(ws, s, true));
+      if (!s.attendees.length) return false;
+      s.blocked = true;
+      keptBooked.push(s);
+      return true;
+    });
+    for (const { slot, conflict } of clashing) if (keptBooked.includes(slot)) conflict.action = 'blocked';
+    addSlots(ws, created);
+    saveWorkspaceState(ws);
+    await offerWaitlistSlots(ws);
+
+    const typeSlots = ws.availabilitySlots.filter(s => slotTypeId(s) === type.id && !s.blocked);
+    res.json({
+      ok: true,
+      timezone: tz,
+      meetingType: type,
+      durationMinutes: type.duration,
+      bufferMinutes: buffer,
+      totalSlots: typeSlots.length,
+      totalSeats: typeSlots.reduce((n, s) => n + s.capacity, 0),
+      slots: typeSlots.map(slotSummary),
+      added: created.map(s => s.id),
+      keptBooked: keptBooked.map(s => ({ id: s.id, label: s.label, attendees: s.attendees.length })),
+      releasedHolds,
+      busyConflicts: conflicts,
+      ...(busy && { busyCalendar: { name: busy.name, mode: busy.mode, warnings: busy.warnings, error: busy.error } }),
+      excludedDates: excluded,
+      unparsed
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ ok:false, error: err.message });
+  }
+}));
+
+// ---------------------- API: slots ----------------------
+// One slot at a time: add ranges next to what is there, block or unblock a slot,
+// or remove it. IDs and broadcast numbers never shift.
+app.get('/api/w/:ws/slots', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const now = Date.now();
+  const who = wa => {
+    const client = ws.clientsByWa.get(wa);
+    return { phone: client ? client.e164 : wa.replace(/^whatsapp:/, ''), name: client ? client.name : null };
+  };
+  const busy = loadBusyCalendar(ws);
+  const slots = ws.availabilitySlots.map(s => {
+    const number = ws.lastBroadcastOrder.indexOf(s.id) + 1;
+    const clash = busyConflict(busy, s.start, s.end);
+    return {
+      id: s.id,
+      number: number || null,
+      meetingTypeId: slotTypeId(s),
+      meetingType: slotTypeLabel(ws, s),
+      label: s.label,
+      start: s.start.toISOString(),
+      end: s.end.toISOString(),
+      capacity: s.capacity,
+      seatsLeft: Math.max(0, seatsLeft(s)),
+      blocked: s.blocked,
+      started: s.start.getTime() <= now,
+      attendees: s.attendees.map(a => ({ ...who(a.wa), bookedAt: a.bookedAt })),
+      holds: s.holds.map(h => ({ ...who(h.wa), until: h.until })),
+      busyWith: clash ? busyEventLabel(ws, clash) : null
+    };
+  });
+  res.json({ ok: true, timezone: wsTimeZone(ws), slots });
+});
+
+// Add ranges (same syntax as set-availability); slots that already exist are skipped,
+// except that in drop mode one that clashes with the busy calendar is blocked
+app.post('/api/w/:ws/slots', bookingRoute(async (req, res, ws) => {
+  try {
+    const { availabilityText } = req.body || {};
+    if (!availabilityText) return res.status(400).json({ ok:false, error:'availabilityText is required' });
+    const chosen = availabilityType(ws, res, req.body || {}); if (!chosen) return;
+
+    const busy = loadBusyCalendar(ws);
+    const { created, existing, conflicts, clashing, unparsed, excluded } = expandAvailability(ws, chosen.type, availabilityText, chosen.buffer, busy);
+    const releasedHolds = [];
+    for (const { slot, conflict } of clashing) {
+      if (!slot.blocked) releasedHolds.push(...releaseSlotHolds(ws, slot, true));
+      slot.blocked = true;
+      conflict.action = 'blocked';
+    }
+    addSlots(ws, created);
+    saveWorkspaceState(ws);
+    await offerWaitlistSlots(ws);
+    res.json({
+      ok: true,
+      meetingType: chosen.type,
+      added: created.map(s => ({ id: s.id, label: slotSummary(s) })),
+      alreadyListed: existing.map(e => ({ id: e.slot.id, label: e.slot.label })),
+      releasedHolds,
+      busyConflicts: conflicts,
+      ...(busy && { busyCalendar: { name: busy.name, mode: busy.mode, warnings: busy.warnings, error: busy.error } }),
+      excludedDates: excluded,
+      unparsed
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ ok:false, error: err.message });
+  }
+}));
+
+function requireSlot(ws, res, slotId) {
+  const slot = ws.availabilitySlots.find(s => s.id === slotId);
+  if (!slot) res.status(404).json({ ok:false, error:`Unknown slot: ${slotId}` });
+  return slot || null;
+}
+
+// { blocked: true } stops a slot being offered or booked; clients already in it stay booked
+app.post('/api/w/:ws/slots/:slotId/block', bookingRoute(async (req, res, ws) => {
+  try {
+    const slot = requireSlot(ws, res, req.params.slotId); if (!slot) return;
+    const blocked = (req.body || {}).blocked !== false && (req.body || {}).blocked !== 'false';
+    slot.blocked = blocked;
+    const released = blocked ? releaseSlotHolds(ws, slot, true) : [];
+    saveWorkspaceState(ws);
+    await offerWaitlistSlots(ws);
+    res.json({ ok: true, id: slot.id, blocked, releasedHolds: released });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+}));
+
+// Removes the slot. Booked clients go back to Pending and waitlisted clients holding
+// it back to waiting; both are messaged unless ?notify=false.
+app.delete('/api/w/:ws/slots/:slotId', bookingRoute(async (req, res, ws) => {
+  try {
+    const slot = requireSlot(ws, res, req.params.slotId); if (!slot) return;
+    const notify = !['false', false].includes(req.query.notify ?? (req.body || {}).notify);
+    const { cancelled, releasedHolds } = await removeSlot(ws, slot, notify);
+    await offerWaitlistSlots(ws);
+    res.json({ ok: true, removed: slot.id, notified: notify, cancelled, releasedHolds });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+}));
+
+// ---------------------- API: busy calendar ----------------------
+app.get('/api/w/:ws/busy-calendar', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  res.json({ ok: true, ...busyCalendarSummary(ws, loadBusyCalendar(ws)) });
+});
+
+// Upload an .ics (multipart `file`) or point at one in BUSY_CALENDAR_DIR (JSON `{ path }`);
+// `mode` drop (default) or flag decides what happens to clashing slots
+app.post('/api/w/:ws/busy-calendar', upload.single('file'), (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  try {
+    const { path: localPath, mode } = req.body || {};
+    if (mode !== undefined && !BUSY_MODES.includes(mode)) throw new Error(`mode must be ${BUSY_MODES.join(' or ')}`);
+    const current = ws.settings.busyCalendar || { mode: 'drop' };
+    let next = { ...current, mode: mode || current.mode };
+
+    if (req.file) {
+      if (!/\.ics$/i.test(req.file.originalname)) throw new Error('Upload an .ics calendar export');
+      parseBusyCalendar(fs.readFileSync(req.file.path, 'utf8'), wsTimeZone(ws));
+      const dest = path.join(ws.baseDir, 'busy.ics');
+      fs.renameSync(req.file.path, dest);
+      next = { ...next, path: dest, name: req.file.originalname, local: false };
+    } else if (localPath) {
+      const fp = localBusyPath(localPath);
+      parseBusyCalendar(fs.readFileSync(fp, 'utf8'), wsTimeZone(ws));
+      next = { ...next, path: fp, name: path.basename(fp), local: true };
+    } else if (!current.path) {
+      throw new Error('Upload an .ics file or give the path of one');
+    }
+
+    ws.settings.busyCalendar = next;
+    saveWorkspaceState(ws);
+    res.json({ ok: true, ...busyCalendarSummary(ws, loadBusyCalendar(ws)) });
+  } catch (err) {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+    console.error(err);
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete('/api/w/:ws/busy-calendar', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const cfg = ws.settings.busyCalendar;
+  if (cfg && !cfg.local && cfg.path) fs.rmSync(cfg.path, { force: true });
+  delete ws.settings.busyCalendar;
+  saveWorkspaceState(ws);
+  res.json({ ok: true, calendar: null });
+});
+
+// ---------------------- API: broadcast ----------------------
+const BROADCAST_WAIT_MS = parseInt(process.env.BROADCAST_WAIT_MS || '10000', 10);
+
+const isTrue = v => String(v || '').toLowerCase() === 'true';
+
+// Rows whose number also appears on an earlier-loaded row; each number is messaged once
+function duplicateRows(ws, client) {
+  const agg = ws.statusByDigits.get(phoneDigitsOnly(client.e164));
+  const nameIdx = ws.excelState.headerMap['Client Name'];
+  return (agg ? agg.rowIndices : [])
+    .filter(r => r !== client.rowIndex)
+    .map(r => ({
+      row: r,
+      name: (ws.excelState.sheet.getRow(r).getCell(nameIdx).value || '').toString().trim(),
+      phone: client.e164,
+      reason: `duplicate number (messaged once, as row ${client.rowIndex})`
+    }));
+}
+
+function invalidRows(ws) {
+  return (ws.phoneIssues || []).map(x => ({ row: x.row, name: x.name, phone: x.phone, reason: `invalid number: ${x.reason}` }));
+}
+
+// Who a broadcast reaches, and why everyone else is left out
+function broadcastPlan(ws, force) {
+  const recipients = [];
+  const skipped = invalidRows(ws);
+  for (const [wa, client] of ws.clientsByWa.entries()) {
+    skipped.push(...duplicateRows(ws, client));
+    const agg = ws.statusByDigits.get(phoneDigitsOnly(client.e164)) || {};
+    const skip = { row: client.rowIndex, name: client.name, phone: client.e164 };
+    if (client.removed) skipped.push({ ...skip, reason: `removed from the client list on ${client.removed}` });
+    else if (!force && agg.confirmed) skipped.push({ ...skip, reason: 'already confirmed' });
+    else if (!force && agg.pending) skipped.push({ ...skip, reason: 'already pending (use force to message again)' });
+    else recipients.push({ wa, client });
+  }
+  return { recipients, skipped: skipped.sort((a, b) => a.row - b.row) };
+}
+
+// Follow-ups go only to rows still marked Pending
+function followupPlan(ws) {
+  const h = ws.excelState.headerMap;
+  const recipients = [];
+  const skipped = invalidRows(ws);
+  for (const [wa, client] of ws.clientsByWa.entries()) {
+    skipped.push(...duplicateRows(ws, client));
+    const row = findRowByPhone(ws, client.e164);
+    const st = row ? String(row.getCell(h['Status']).value || '').trim() : '';
+    if (client.removed) skipped.push({ row: client.rowIndex, name: client.name, phone: client.e164, reason: `removed from the client list on ${client.removed}` });
+    else if (st.toLowerCase() === 'pending') recipients.push({ wa, client });
+    else skipped.push({ row: client.rowIndex, name: client.name, phone: client.e164, reason: st ? `status is ${st}` : 'not broadcast to yet' });
+  }
+  return { recipients, skipped: skipped.sort((a, b) => a.row - b.row) };
+}
+
+// What a route's booking task answers with when it stops before sending
+const routeAnswer = (status, body) => ({ status, body });
+
+// Dry-run response: nothing sent, nothing written. `skipped` counts the same clients
+// as the live send's, which also keeps `sentTo` (= recipients) from older clients.
+function previewResponse(recipients, skipped) {
+  return {
+    ok: true,
+    dryRun: true,
+    recipients: recipients.length,
+    skipped: skipped.length,
+    messages: recipients.map(({ client, body }) => ({ name: client.name, phone: client.e164, body })),
+    skippedClients: skipped
+  };
+}
+
+app.post('/api/w/:ws/broadcast', async (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  try {
+    // Plan and queue under the booking lock, so a reply being handled never sees the
+    // numbering change underneath it; delivery is waited for outside the lock
+    const queued = await withBookingLock(ws, async () => {
+      if (!ws.excelState) return routeAnswer(400, { ok:false, error:'Upload an Excel first' });
+      if (!ws.availabilitySlots.length) return routeAnswer(400, { ok:false, error:'Set availability first' });
+
+      const { meetingTypeId } = req.body || {};
+      const type = meetingTypeId ? getMeetingType(ws, meetingTypeId) : null;
+      if (meetingTypeId && !type) return routeAnswer(400, { ok:false, error:`Unknown meeting type: ${meetingTypeId}` });
+      const typeId = type ? type.id : null;
+      const offered = openSlots(ws, typeId);
+      if (!offered.length) return routeAnswer(400, { ok:false, error:'No open slots for that meeting type' });
+
+      // Without a chosen type, describe the offer by the type of the slots on it
+      const offerType = type || (new Set(offered.map(slotTypeId)).size === 1
+        ? getMeetingType(ws, slotTypeId(offered[0])) || DEFAULT_MEETING_TYPE
+        : { label: 'meeting', duration: null });
+
+      const force = isTrue(req.query.force);
+      const { recipients, skipped } = broadcastPlan(ws, force);
+      // Numbering follows openSlots(ws, typeId), which is exactly what gets frozen below
+      const toSend = recipients.map(({ wa, client }) => ({
+        wa, client,
+        body: renderClientTemplate(ws, 'broadcast', client, {
+          meetingType: { label: offerType.label, duration: offerType.duration },
+          slotsText: listSlotsForMessage(ws, typeId, client)
+        })
+      }));
+
+      if (isTrue(req.query.dryRun)) return routeAnswer(200, previewResponse(toSend, skipped));
+
+      // Freeze numbering (snapshot of open slots by id)
+      ws.lastBroadcastOrder = offered.map(s => s.id);
+      ws.lastBroadcastTypeId = typeId;
+      saveWorkspaceState(ws);
+
+      if (!toSend.length) {
+        return routeAnswer(200, {
+          ok: true,
+          recipients: 0,
+          sentTo: 0,
+          skipped: skipped.length,
+          skippedClients: skipped,
+          reason: force ? 'No eligible numbers' : 'All numbers have Pending or Confirmed status (or were duplicates).'
+        });
+      }
+
+      // Rows are marked Pending / Last Notified by the queue as each message goes out
+      const batchId = crypto.randomBytes(6).toString('hex');
+      for (const { wa, body } of toSend) {
+        enqueueMessage(wa, body, null, { wsId: ws.id, kind: 'broadcast', batchId, template: 'broadcast' });
+      }
+      flushOutbox();
+      noteOutreach(ws, toSend.map(r => r.wa));
+      saveWorkspaceState(ws);
+      return { batchId, toSend, skipped };
+    });
+    if (queued.body) return res.status(queued.status).json(queued.body);
+    const { batchId, toSend, skipped } = queued;
+
+    const counts = await waitForBatch(batchId, BROADCAST_WAIT_MS);
+    res.json({ ok:true, batchId, recipients: toSend.length, sentTo: toSend.length, ...counts, skipped: skipped.length, skippedClients: skipped });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// ---------------------- API: follow-up broadcast (Pending only) ----------------------
+app.post('/api/w/:ws/followup-broadcast', async (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  try {
+    // Plan and queue under the booking lock, so a reply being handled never sees the
+    // numbering change underneath it; delivery is waited for outside the lock
+    const queued = await withBookingLock(ws, async () => {
+      const { template } = req.body || {};
+      if (!template || !template.trim()) return routeAnswer(400, { ok:false, error:'template is required' });
+
+      if (!ws.excelState) return routeAnswer(400, { ok:false, error:'Upload an Excel first' });
+      let unknownVars;
+      try {
+        unknownVars = unknownTemplateVars(ws, template, FOLLOWUP_VARS);
+      } catch (e) {
+        return routeAnswer(400, { ok:false, error:`Template error: ${e.message}` });
+      }
+
+      // Build recipients strictly from Excel where Status == 'pending'
+      const { recipients, skipped } = followupPlan(ws);
+      const toSend = recipients.map(({ wa, client }) => ({
+        wa, client,
+        body: renderTemplate(template, {
+          client: clientVars(ws, client),
+          slotsText: listSlotsStable(ws, client)
+        })
+      }));
+
+      if (isTrue(req.query.dryRun)) return routeAnswer(200, { ...previewResponse(toSend, skipped), unknownVars });
+
+      if (!toSend.length) {
+        return routeAnswer(200, { ok:true, recipients: 0, sentTo: 0, skipped: skipped.length, skippedClients: skipped });
+      }
+
+      // Last Notified is stamped by the queue as each message goes out
+      const batchId = crypto.randomBytes(6).toString('hex');
+      for (const { wa, body } of toSend) {
+        enqueueMessage(wa, body, null, { wsId: ws.id, kind: 'followup', batchId });
+      }
+      flushOutbox();
+      noteOutreach(ws, toSend.map(r => r.wa));
+      saveWorkspaceState(ws);
+      return { batchId, toSend, skipped };
+    });
+    if (queued.body) return res.status(queued.status).json(queued.body);
+    const { batchId, toSend, skipped } = queued;
+
+    const counts = await waitForBatch(batchId, BROADCAST_WAIT_MS);
+    res.json({ ok:true, batchId, recipients: toSend.length, sentTo: toSend.length, ...counts, skipped: skipped.length, skippedClients: skipped });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+
+// ---------------------- API: outbox ----------------------
+// Delivery status of this workspace's messages, optionally for one broadcast batch
+app.get('/api/w/:ws/outbox', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const batchId = (req.query.batch || '').toString();
+  const messages = outbox
+    .filter(m => m.wsId === ws.id && (!batchId || m.batchId === batchId))
+    .slice(-500)
+    .map(m => {
+      const client = ws.clientsByWa.get(m.to);
+      return {
+        id: m.id, kind: m.kind, batchId: m.batchId, to: m.to,
+        name: client ? client.name : null,
+        status: m.status, attempts: m.attempts, error: m.error,
+        createdAt: m.createdAt, updatedAt: m.updatedAt
+      };
+    });
+  res.json({ ok: true, counts: batchId ? batchCounts(batchId) : undefined, messages });
+});
+
+// ---------------------- API: conversations ----------------------
+// Without ?phone: one summary per client. With it: that client's full thread,
+// outbound messages carrying their latest delivery status.
+app.get('/api/w/:ws/messages', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const log = readMessageLog(ws);
+  const phone = (req.query.phone || '').toString().trim().replace(/^whatsapp:/i, '');
+
+  if (!phone) {
+    const byWa = new Map();
+    for (const e of log) {
+      const cur = byWa.get(e.wa) || { count: 0, lastAt: null, lastDirection: null };
+      cur.count++;
+      cur.lastAt = e.at;
+      cur.lastDirection = e.direction;
+      byWa.set(e.wa, cur);
+    }
+    const clients = [...ws.clientsByWa.entries()].map(([wa, c]) => ({
+      wa, name: c.name, phone: c.e164, ...(byWa.get(wa) || { count: 0, lastAt: null, lastDirection: null })
+    }));
+    clients.sort((a, b) => String(b.lastAt || '').localeCompare(String(a.lastAt || '')) || a.name.localeCompare(b.name));
+    return res.json({ ok: true, timezone: wsTimeZone(ws), clients });
+  }
+
+  const wa = waFormat(phone, wsDefaultCountry(ws));
+  if (!wa) return res.status(400).json({ ok: false, error: 'Invalid phone number' });
+  const client = ws.clientsByWa.get(wa);
+  const statusById = new Map(outbox.filter(m => m.wsId === ws.id).map(m => [m.id, m]));
+  const messages = log
+    .filter(e => e.wa === wa)
+    .map(e => {
+      const sent = e.messageId ? statusById.get(e.messageId) : null;
+      return sent ? { ...e, status: sent.status, error: sent.error } : e;
+    });
+  res.json({
+    ok: true,
+    timezone: wsTimeZone(ws),
+    client: client ? { wa, name: client.name, phone: client.e164 } : { wa, name: null, phone: wa.replace(/^whatsapp:/, '') },
+    messages
+  });
+});
+
+app.get('/w/:ws/messages', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'messages.html'));
+});
+
+// ---------------------- API: waitlist ----------------------
+app.get('/api/w/:ws/waitlist', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const entries = ws.waitlist.map((e, i) => {
+    const client = ws.clientsByWa.get(e.wa);
+    const held = heldSlotFor(ws, e.wa);
+    return {
+      position: i + 1,
+      wa: e.wa,
+      name: client ? client.name : null,
+      phone: client ? client.e164 : e.wa.replace(/^whatsapp:/, ''),
+      joinedAt: e.joinedAt,
+      preferredDays: describeDays(e.preferredDays, DEFAULT_LANGUAGE),
+      offer: held ? { slotId: held.id, slotLabel: held.label, heldUntil: holdFor(held, e.wa).until } : null
+    };
+  });
+  res.json({ ok: true, timezone: wsTimeZone(ws), holdMinutes: WAITLIST_HOLD_MINUTES, entries });
+});
+
+// Agent removes a client; their row goes back to its status from before joining
+app.delete('/api/w/:ws/waitlist/:phone', bookingRoute(async (req, res, ws) => {
+  try {
+    const wa = waFormat(req.params.phone, wsDefaultCountry(ws));
+    if (!wa || !waitlistEntry(ws, wa)) return res.status(404).json({ ok: false, error: 'Not on the waitlist' });
+    await leaveWaitlist(ws, wa, ws.clientsByWa.get(wa), true);
+    await offerWaitlistSlots(ws);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}));
+
+app.get('/w/:ws/waitlist', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'waitlist.html'));
+});
+
+// ---------------------- API: templates per workspace ----------------------
+function templateCatalog(ws, lang) {
+  const clientVarNames = clientVariableNames(ws);
+  const defaults = defaultTemplatesFor(lang);
+  return TEMPLATE_CATALOG.map(({ key, group, label, description, vars }) => ({
+    key, group, label, description, default: defaults[key], variables: [...clientVarNames, ...vars]
+  }));
+}
+
+// ?lang= / body.language pick the template set; omitted means English
+function templateLanguage(req, res) {
+  const raw = (req.body && req.body.language) || req.query.lang;
+  if (!raw) return DEFAULT_LANGUAGE;
+  const lang = normalizeLanguage(raw);
+  if (!lang) res.status(400).json({ ok: false, error: `Unsupported language: ${raw}` });
+  return lang;
+}
+
+app.get('/api/w/:ws/templates', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const lang = templateLanguage(req, res); if (!lang) return;
+  if (!ws.templates) loadTemplates(ws);
+  const { warnings } = validateTemplates(ws, ws.templates[lang]);
+  res.json({
+    ok: true,
+    language: lang,
+    languages: LANGUAGES.map(({ code, label }) => ({ code, label })),
+    templates: ws.templates[lang],
+    catalog: templateCatalog(ws, lang),
+    warnings
+  });
+});
+
+app.post('/api/w/:ws/templates', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const lang = templateLanguage(req, res); if (!lang) return;
+  try {
+    const body = req.body || {};
+    const picked = {};
+    for (const key of Object.keys(defaultTemplates)) picked[key] = body[key];
+    const { templates, warnings } = saveTemplates(ws, lang, picked);
+    res.json({ ok: true, language: lang, templates, warnings });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message, errors: e.templateErrors });
+  }
+});
+
+// Render a draft with the first client's real columns and the current slots
+app.post('/api/w/:ws/templates/preview', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const lang = templateLanguage(req, res); if (!lang) return;
+  const { key, template } = req.body || {};
+  const def = TEMPLATE_CATALOG.find(t => t.key === key);
+  const vars = def ? def.vars : FOLLOWUP_VARS;
+  const first = ws.clientsByWa && ws.clientsByWa.size ? ws.clientsByWa.values().next().value : null;
+  const client = { ...(first || {}), language: lang };
+  const slot = openSlots(ws, null)[0];
+  const type = (ws.settings.meetingTypes || [])[0] || DEFAULT_MEETING_TYPE;
+  const sample = {
+    client: first ? clientVars(ws, first) : { name: 'John Tan', phone: '+6591234567' },
+    slotsText: ws.availabilitySlots.length ? listSlotsStable(ws, client) : '1) 26 Aug 2–3pm\n2) 26 Aug 4–5pm',
+    slotLabel: slot ? slotLabelFor(ws, slot, client) : '26 Aug 2–3pm',
+    slotNumber: 3,
+    meetingType: { label: type.label, duration: type.duration },
+    timeUntil: describeTimeUntil(24 * 3600000, lang)
+  };
+  try {
+    const text = template === undefined ? (ws.templates[lang][key] || '') : String(template);
+    const unknownVars = unknownTemplateVars(ws, text, vars);
+    res.json({ ok: true, text: renderTemplate(text, sample), unknownVars });
+  } catch (e) {
+    res.json({ ok: false, error: e.message });
+  }
+});
+
+// ---------------------- API: settings per workspace ----------------------
+app.get('/api/w/:ws/settings', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  res.json({ ok: true, settings: ws.settings });
+});
+
+app.post('/api/w/:ws/settings', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  try {
+    const { timezone, defaultCountry, defaultLanguage, reminderHours, meetingTypes } = req.body || {};
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) throw new Error(`Unknown timezone: ${timezone}`);
+      ws.settings.timezone = timezone;
+      relabelSlots(ws);
+    }
+    if (defaultCountry !== undefined) {
+      const cc = normalizeCountry(defaultCountry);
+      if (!cc || cc.startsWith('+')) throw new Error(`Unknown country code: ${defaultCountry} (use e.g. SG, MY, ID)`);
+      ws.settings.defaultCountry = cc;
+      if (ws.excelState) buildClientMaps(ws);
+    }
+    if (defaultLanguage !== undefined) {
+      const lang = normalizeLanguage(defaultLanguage);
+      if (!lang) throw new Error(`Unsupported language: ${defaultLanguage} (use ${LANGUAGES.map(l => l.code).join(', ')})`);
+      ws.settings.defaultLanguage = lang;
+    }
+    if (reminderHours !== undefined) ws.settings.reminderHours = parseReminderHours(reminderHours);
+    if (meetingTypes !== undefined) ws.settings.meetingTypes = parseMeetingTypes(meetingTypes);
+    saveWorkspaceState(ws);
+    res.json({ ok: true, settings: ws.settings });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ---------------------- API: Excel view/download ----------------------
+app.get('/api/w/:ws/excel', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  try {
+    if (!ws.excelState) return res.json({ ok: true, headers: [], rows: [] });
+    const sheet = ws.excelState.sheet;
+
+    const headers = [];
+    const headerRow = sheet.getRow(1);
+    for (let i = 1; i <= headerRow.cellCount; i++) {
+      const v = headerRow.getCell(i).value;
+      if (v) headers.push(String(v));
+    }
+
+    const rows = [];
+    for (let r = 2; r <= sheet.rowCount; r++) {
+      const row = sheet.getRow(r);
+      const item = {};
+      headers.forEach((h, i) => {
+        const v = row.getCell(i + 1).value;
+        item[h] = (v == null) ? '' : v.toString();
+      });
+      // Exclude completely empty rows
+      const hasData = Object.values(item).some(v => String(v).trim() !== '');
+      if (hasData) rows.push(item);
+    }
+
+    res.json({ ok: true, headers, rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+app.get('/api/w/:ws/download-latest', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  try {
+    if (!ws.excelState) return res.status(400).json({ ok:false, error:'No Excel loaded yet.' });
+    const outPath = path.join(ws.exportDir, `bookings_${Date.now()}.xlsx`);
+    fs.copyFileSync(ws.excelState.filePath, outPath);
+    res.download(outPath, 'bookings.xlsx');
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+});
+
+// ---------------------- API: bookings ----------------------
+// Agents book, move and release clients themselves. Slots, calendar, waitlist and
+// workbook change exactly as for a WhatsApp reply; `notify: true` also messages
+// the client with the matching agent* template.
+
+// Resolves `phone` to a loaded client, or answers the request and returns null
+function bookingClient(ws, res, phone) {
+  if (!ws.excelState) {
+    res.status(400).json({ ok:false, error:'No Excel loaded yet.' });
+    return null;
+  }
+  const wa = phone ? waFormat(phone, wsDefaultCountry(ws)) : null;
+  const client = wa ? ws.clientsByWa.get(wa) : null;
+  if (!client) {
+    res.status(404).json({ ok:false, error:`No client with number ${phone || '(none)'}` });
+    return null;
+  }
+  return { wa, client };
+}
+
+function bookingSlot(ws, res, slotId) {
+  const slot = ws.availabilitySlots.find(s => s.id === slotId);
+  if (!slot) {
+    res.status(404).json({ ok:false, error:`Unknown slot: ${slotId || '(none)'}` });
+    return null;
+  }
+  if (slot.start.getTime() <= Date.now()) {
+    res.status(400).json({ ok:false, error:`${slot.id} has already started` });
+    return null;
+  }
+  return slot;
+}
+
+// Queued, not awaited: delivery retries shouldn't hold up the agent's request
+function notifyClient(ws, wa, client, template, vars, action, mediaUrl = null) {
+  const body = renderClientTemplate(ws, template, client, vars);
+  sendWa(wa, body, mediaUrl, { wsId: ws.id, kind: 'booking', template, action })
+    .catch(e => console.error(`Booking notice to ${wa} failed:`, e.message));
+}
+
+function bookingSummary(ws, client, wa) {
+  const slot = findBookedSlot(ws, wa);
+  return {
+    phone: client.e164,
+    name: client.name,
+    status: client.status || '',
+    slotId: slot ? slot.id : null,
+    slotLabel: slot ? slot.label : bookedLabelFromRow(ws, client)
+  };
+}
+
+app.get('/api/w/:ws/bookings', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const now = Date.now();
+  const slots = ws.availabilitySlots.map(s => ({
+    id: s.id,
+    label: s.label,
+    meetingType: slotTypeLabel(ws, s),
+    capacity: s.capacity,
+    seatsLeft: Math.max(0, seatsLeft(s)),
+    started: s.start.getTime() <= now,
+    attendees: s.attendees.map(a => {
+      const client = ws.clientsByWa.get(a.wa);
+      return { phone: client ? client.e164 : a.wa.replace(/^whatsapp:/, ''), name: client ? client.name : null, bookedAt: a.bookedAt };
+    })
+  }));
+  const clients = [...ws.clientsByWa.entries()].map(([wa, c]) => bookingSummary(ws, c, wa));
+  res.json({ ok: true, timezone: wsTimeZone(ws), slots, clients });
+});
+
+// Assign a client who has no booked slot yet
+app.post('/api/w/:ws/bookings', bookingRoute(async (req, res, ws) => {
+  try {
+    const { phone, slotId, notify } = req.body || {};
+    const target = bookingClient(ws, res, phone); if (!target) return;
+    const { wa, client } = target;
+    const current = findBookedSlot(ws, wa);
+    if (current) return res.status(409).json({ ok:false, error:`${client.name || client.e164} is already booked in ${current.id}; move the booking instead` });
+    const slot = bookingSlot(ws, res, slotId); if (!slot) return;
+    if (!slotOpen(slot, wa)) return res.status(409).json({ ok:false, error:`${slot.id} has no seats left` });
+
+    const { event, wasWaitlisted } = await placeBooking(ws, wa, client, slot);
+    if (isTrue(notify)) {
+      notifyClient(ws, wa, client, 'agentBooked', {
+        meetingType: { label: slotTypeLabel(ws, slot) },
+        slotLabel: slotLabelFor(ws, slot, client)
+      }, `agent booked ${slot.id} (${slot.label})`, inviteUrl(ws, event));
+    }
+    if (wasWaitlisted) await offerWaitlistSlots(ws);
+    res.json({ ok: true, notified: isTrue(notify), booking: bookingSummary(ws, client, wa) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+}));
+
+app.post('/api/w/:ws/bookings/:phone/move', bookingRoute(async (req, res, ws) => {
+  try {
+    const { slotId, notify } = req.body || {};
+    const target = bookingClient(ws, res, req.params.phone); if (!target) return;
+    const { wa, client } = target;
+    const current = findBookedSlot(ws, wa);
+    if (!current) return res.status(409).json({ ok:false, error:`${client.name || client.e164} has no booked slot; assign one instead` });
+    const slot = bookingSlot(ws, res, slotId); if (!slot) return;
+    if (slot === current) return res.status(400).json({ ok:false, error:`Already booked in ${slot.id}` });
+    if (!slotOpen(slot, wa)) return res.status(409).json({ ok:false, error:`${slot.id} has no seats left` });
+
+    const { event } = await placeBooking(ws, wa, client, slot);
+    if (isTrue(notify)) {
+      notifyClient(ws, wa, client, 'agentMoved', {
+        meetingType: { label: slotTypeLabel(ws, slot) },
+        slotLabel: slotLabelFor(ws, slot, client),
+        previousSlotLabel: slotLabelFor(ws, current, client)
+      }, `agent moved ${current.id} → ${slot.id}`, inviteUrl(ws, event));
+    }
+    await offerWaitlistSlots(ws);
+    res.json({ ok: true, notified: isTrue(notify), from: current.id, booking: bookingSummary(ws, client, wa) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+}));
+
+// Release the client's slot; the row becomes Cancelled
+app.delete('/api/w/:ws/bookings/:phone', bookingRoute(async (req, res, ws) => {
+  try {
+    const target = bookingClient(ws, res, req.params.phone); if (!target) return;
+    const { wa, client } = target;
+    const current = findBookedSlot(ws, wa);
+    if (!current && !hasConfirmedRow(ws, client)) return res.status(404).json({ ok:false, error:`${client.name || client.e164} has no booking` });
+
+    const { label } = await clearBooking(ws, wa, client, 'Cancelled');
+    const notify = isTrue(req.query.notify) || isTrue((req.body || {}).notify);
+    if (notify) {
+      notifyClient(ws, wa, client, 'agentCancelled', {
+        slotLabel: current ? slotLabelFor(ws, current, client) : label
+      }, `agent released ${current ? current.id : 'a manual booking'}`);
+    }
+    await offerWaitlistSlots(ws);
+    res.json({ ok: true, notified: notify, released: current ? current.id : null, booking: bookingSummary(ws, client, wa) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+}));
+
+// Mark a client Pending (releasing any booking) or Confirmed (e.g. booked by phone)
+app.post('/api/w/:ws/bookings/:phone/status', bookingRoute(async (req, res, ws) => {
+  try {
+    const { status, notify } = req.body || {};
+    const next = String(status || '').trim().toLowerCase();
+    if (next !== 'pending' && next !== 'confirmed') return res.status(400).json({ ok:false, error:'status must be Pending or Confirmed' });
+    const target = bookingClient(ws, res, req.params.phone); if (!target) return;
+    const { wa, client } = target;
+    const current = findBookedSlot(ws, wa);
+    const slotLabel = current ? slotLabelFor(ws, current, client) : bookedLabelFromRow(ws, client);
+
+    const wasWaitlisted = await leaveWaitlist(ws, wa, client, false);
+    if (next === 'pending') {
+      await clearBooking(ws, wa, client, 'Pending');
+    } else if (setRowStatus(ws, client, 'Confirmed')) {
+      await saveExcel(ws);
+    }
+    if (isTrue(notify)) {
+      const template = next === 'pending' ? 'agentPending' : 'agentConfirmed';
+      notifyClient(ws, wa, client, template, { slotLabel }, `agent marked ${next}`);
+    }
+    if (wasWaitlisted || (next === 'pending' && current)) await offerWaitlistSlots(ws);
+    res.json({ ok: true, notified: isTrue(notify), booking: bookingSummary(ws, client, wa) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ ok:false, error: err.message });
+  }
+}));
+
+// ---------------------- Booking helpers ----------------------
+
+// A slot seats `capacity` clients; `booked` means every seat is taken
+function attendeeOf(slot, wa) {
+  return (slot && slot.attendees.find(a => a.wa === wa)) || null;
+}
+
+function findBookedSlot(ws, wa) {
+  return ws.availabilitySlots.find(s => attendeeOf(s, wa)) || null;
+}
+
+function bookSlot(slot, wa) {
+  const attendee = { wa, bookedAt: new Date().toISOString(), remindersSent: [], eventUid: null };
+  slot.attendees.push(attendee);
+  slot.booked = slot.attendees.length >= slot.capacity;
+  releaseHold(slot, wa);
+  return attendee;
+}
+
+function releaseSlot(slot, wa) {
+  slot.attendees = slot.attendees.filter(a => a.wa !== wa);
+  slot.booked = slot.attendees.length >= slot.capacity;
+}
+
+function hasConfirmedRow(ws, client) {
+  const row = client ? findRowByPhone(ws, client.e164) : null;
+  if (!row) return false;
+  const h = ws.excelState.headerMap;
+  return String(row.getCell(h['Status']).value || '').trim().toLowerCase() === 'confirmed';
+}
+
+function bookedLabelFromRow(ws, client) {
+  const row = client ? findRowByPhone(ws, client.e164) : null;
+  if (!row) return '';
+  const h = ws.excelState.headerMap;
+  return `${row.getCell(h['Booked Date']).value || ''} ${row.getCell(h['Booked Time']).value || ''}`.trim();
+}
+
+// Names the session a client joined, so group bookings can be filtered in Excel
+function sessionLabel(ws, slot) {
+  return `${slotTypeLabel(ws, slot)} · ${slot.label}`;
+}
+
+// Writes Booked Date/Time/Session + Status=Confirmed; returns true if a row was updated
+function writeBookingRow(ws, client, slot) {
+  const row = client ? findRowByPhone(ws, client.e164) : null;
+  if (!row) return false;
+  const { headerMap } = ws.excelState;
+  const tz = wsTimeZone(ws);
+  const p = zonedParts(slot.start, tz);
+  const dateOnly = `${pad2(p.d)} ${MONTHS_SHORT[p.m]}`;
+  const timeLabel = humanSlotLabel(slot.start, slot.end, tz).split(' ').slice(2).join(' ');
+  row.getCell(headerMap['Booked Date']).value = dateOnly;
+  row.getCell(headerMap['Booked Time']).value = timeLabel;
+  row.getCell(headerMap['Meeting Type']).value = slotTypeLabel(ws, slot);
+  row.getCell(headerMap['Session']).value = sessionLabel(ws, slot);
+  row.getCell(headerMap['Status']).value = 'Confirmed';
+  row.commit();
+  syncClientStatus(ws, client, 'confirmed');
+  return true;
+}
+
+function clearBookingRow(ws, client, status) {
+  const row = client ? findRowByPhone(ws, client.e164) : null;
+  if (!row) return false;
+  const { headerMap } = ws.excelState;
+  row.getCell(headerMap['Booked Date']).value = '';
+  row.getCell(headerMap['Booked Time']).value = '';
+  row.getCell(headerMap['Meeting Type']).value = '';
+  row.getCell(headerMap['Session']).value = '';
+  row.getCell(headerMap['Status']).value = status;
+  row.commit();
+  syncClientStatus(ws, client, status.toLowerCase());
+  return true;
+}
+
+// Keep in-memory aggregator & client map in line with the Excel row
+function syncClientStatus(ws, client, status) {
+  const digits = phoneDigitsOnly(client.e164);
+  if (digits) refreshStatusForDigits(ws, digits);
+  client.status = status;
+}
+
+function clientDisplayName(client, wa) {
+  return client && client.name ? `${client.name} (${client.phone})` : wa;
+}
+
+// Agent alerts go to AGENT_WHATSAPP_NUMBER when configured; always logged.
+function notifyAgent(ws, text) {
+  const msg = `[${ws.name || ws.id}] ${text}`;
+  console.log(`Agent notice: ${msg}`);
+  const to = waFormat(AGENT_WHATSAPP_NUMBER, wsDefaultCountry(ws));
+  if (!to) return;
+  sendWa(to, msg, null, { wsId: ws.id, kind: 'agent' })
+    .catch(e => console.error('Failed to notify agent:', e.message));
+}
+
+// Books `slot` for the client, moving them out of any slot they hold now, and
+// brings the calendar, waitlist, state and workbook in line. Shared by WhatsApp
+// replies and agent changes.
+async function placeBooking(ws, wa, client, slot) {
+  const previous = findBookedSlot(ws, wa);
+  const previousSeat = attendeeOf(previous, wa);
+  if (previous) releaseSlot(previous, wa);
+  const event = recordCalendarBooking(ws, slot, bookSlot(slot, wa), client, previousSeat);
+  delete ws.pendingReschedule[wa];
+  const wasWaitlisted = await leaveWaitlist(ws, wa, client, false);
+  saveWorkspaceState(ws);
+  if (writeBookingRow(ws, client, slot)) await saveExcel(ws);
+  return { previous, event, wasWaitlisted };
+}
+
+// Frees the client's seat (if any) and clears their row to `status`
+async function clearBooking(ws, wa, client, status) {
+  const current = findBookedSlot(ws, wa);
+  const label = current ? current.label : bookedLabelFromRow(ws, client);
+  delete ws.pendingReschedule[wa];
+  if (current) {
+    recordCalendarCancel(ws, attendeeOf(current, wa));
+    releaseSlot(current, wa);
+  }
+  clearBookingRow(ws, client, status);
+  await saveExcel(ws);
+  saveWorkspaceState(ws);
+  return { slot: current, label };
+}
+
+// Waitlisted clients holding the slot go back to waiting (their hold ends, they keep their place)
+function releaseSlotHolds(ws, slot, notify) {
+  const released = [];
+  for (const { wa } of slot.holds) {
+    const client = ws.clientsByWa.get(wa);
+    releaseHold(slot, wa);
+    released.push({ phone: client ? client.e164 : wa.replace(/^whatsapp:/, ''), name: client ? client.name : null });
+    if (notify && client) {
+      notifyClient(ws, wa, client, 'waitlistExpired', { slotLabel: slotLabelFor(ws, slot, client) }, `agent withdrew ${slot.id} (${slot.label})`);
+    }
+  }
+  return released;
+}
+
+// Takes a slot off the list: its bookings are released (rows back to Pending,
+// calendar events cancelled) and its holds end. Clients are told when `notify`.
+async function removeSlot(ws, slot, notify) {
+  const cancelled = [];
+  for (const { wa } of [...slot.attendees]) {
+    const client = ws.clientsByWa.get(wa);
+    if (client) {
+      const slotLabel = slotLabelFor(ws, slot, client);
+      await clearBooking(ws, wa, client, 'Pending');
+      if (notify) notifyClient(ws, wa, client, 'slotRemoved', { slotLabel }, `agent removed ${slot.id} (${slot.label})`);
+    } else {
+      recordCalendarCancel(ws, attendeeOf(slot, wa));
+      releaseSlot(slot, wa);
+    }
+    cancelled.push({ phone: client ? client.e164 : wa.replace(/^whatsapp:/, ''), name: client ? client.name : null });
+  }
+  const releasedHolds = releaseSlotHolds(ws, slot, notify);
+  ws.availabilitySlots = ws.availabilitySlots.filter(s => s !== slot);
+  saveWorkspaceState(ws);
+  return { cancelled, releasedHolds };
+}
+
+// ---------------------- Waitlist ----------------------
+// Clients join by replying WAITLIST (optionally with days: "waitlist tue thu"),
+// or automatically when they try to book while nothing is open. Whenever a slot
+// frees up, the first waitlisted client whose days fit is offered it and the slot
+// is held for them for WAITLIST_HOLD_MINUTES; YES books it. An unclaimed hold is
+// released, the client goes to the back of the queue and the next one is offered.
+const WAITLIST_HOLD_MINUTES = Math.max(1, parseInt(process.env.WAITLIST_HOLD_MINUTES || '120', 10));
+const WEEKDAY_NAMES = {
+  en: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+  zh: ['周日', '周一', '周二', '周三', '周四', '周五', '周六'],
+  ms: ['Ahad', 'Isnin', 'Selasa', 'Rabu', 'Khamis', 'Jumaat', 'Sabtu']
+};
+
+function waitlistEntry(ws, wa) {
+  return ws.waitlist.find(e => e.wa === wa) || null;
+}
+
+function holdFor(slot, wa) {
+  return slot.holds.find(h => h.wa === wa) || null;
+}
+
+function heldSlotFor(ws, wa) {
+  return ws.availabilitySlots.find(s => holdFor(s, wa)) || null;
+}
+
+function slotKey(slot) {
+  return `${slotTypeId(slot)}@${slot.start.toISOString()}`;
+}
+
+// "tue and thu", "weekends" -> [2, 4], [0, 6]; empty means any day
+function parsePreferredDays(text) {
+  const days = new Set();
+  for (const word of String(text || '').toLowerCase().match(/[a-z]+/g) || []) {
+    if (/^weekdays?$/.test(word)) [1, 2, 3, 4, 5].forEach(d => days.add(d));
+    else if (/^weekends?$/.test(word)) [0, 6].forEach(d => days.add(d));
+    else if (word.length >= 3 && weekdayIndex(word) >= 0) days.add(weekdayIndex(word));
+  }
+  return [...days].sort();
+}
+
+function describeDays(days, lang) {
+  const names = WEEKDAY_NAMES[lang] || WEEKDAY_NAMES[DEFAULT_LANGUAGE];
+  return days.map(d => names[d]).join(', ');
+}
+
+function setRowStatus(ws, client, status) {
+  const row = client ? findRowByPhone(ws, client.e164) : null;
+  if (!row) return false;
+  row.getCell(ws.excelState.headerMap['Status']).value = status;
+  row.commit();
+  syncClientStatus(ws, client, status.toLowerCase());
+  return true;
+}
+
+// Adds (or updates the days of) a client's entry and marks the row Waitlisted
+async function joinWaitlist(ws, wa, client, preferredDays) {
+  let entry = waitlistEntry(ws, wa);
+  if (!entry) {
+    const row = client ? findRowByPhone(ws, client.e164) : null;
+    entry = {
+      wa,
+      joinedAt: new Date().toISOString(),
+      preferredDays: [],
+      previousStatus: row ? String(row.getCell(ws.excelState.headerMap['Status']).value || '') : '',
+      passed: []
+    };
+    ws.waitlist.push(entry);
+  }
+  if (preferredDays.length) entry.preferredDays = preferredDays;
+  if (setRowStatus(ws, client, 'Waitlisted')) await saveExcel(ws);
+  saveWorkspaceState(ws);
+  return entry;
+}
+
+// Drops the entry and any hold. `restoreStatus` puts back the row's status from
+// before the client joined (not wanted when they've just booked).
+async function leaveWaitlist(ws, wa, client, restoreStatus) {
+  const entry = waitlistEntry(ws, wa);
+  if (!entry) return false;
+  const held = heldSlotFor(ws, wa);
+  if (held) releaseHold(held, wa);
+  ws.waitlist = ws.waitlist.filter(e => e !== entry);
+  if (restoreStatus && setRowStatus(ws, client, entry.previousStatus || '')) await saveExcel(ws);
+  saveWorkspaceState(ws);
+  return true;
+}
+
+function releaseHold(slot, wa) {
+  slot.holds = slot.holds.filter(h => h.wa !== wa);
+}
+
+// Offer every open seat to the first waitlisted client it suits
+async function offerWaitlistSlots(ws) {
+  if (!ws.waitlist.length) return;
+  const offers = [];
+  const holdUntil = new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60000).toISOString();
+  for (const entry of ws.waitlist) {
+    const client = ws.clientsByWa.get(entry.wa);
+    if (!client || heldSlotFor(ws, entry.wa)) continue;
+    const tz = clientTimeZone(ws, client);
+    const slot = openSlots(ws, null).find(s =>
+      !entry.passed.includes(slotKey(s)) &&
+      (!entry.preferredDays.length || entry.preferredDays.includes(weekdayOf(zonedParts(s.start, tz)))));
+    if (!slot) continue;
+    slot.holds.push({ wa: entry.wa, until: holdUntil });
+    offers.push({ entry, client, slot });
+  }
+  if (!offers.length) return;
+  noteOutreach(ws, offers.map(o => o.entry.wa));
+  saveWorkspaceState(ws);
+
+  for (const { entry, client, slot } of offers) {
+    const body = renderClientTemplate(ws, 'waitlistOffer', client, {
+      slotLabel: slotLabelFor(ws, slot, client),
+      holdEnds: describeTimeUntil(WAITLIST_HOLD_MINUTES * 60000, clientLanguage(ws, client))
+    });
+    sendWa(entry.wa, body, null, { wsId: ws.id, kind: 'waitlist', template: 'waitlistOffer', action: `offered ${slot.id} from the waitlist` })
+      .catch(e => console.error(`Waitlist offer to ${entry.wa} failed:`, e.message));
+  }
+}
+
+// Called on the reminder tick: release lapsed holds, then offer them onwards
+async function expireWaitlistHolds(ws, now) {
+  const lapsed = ws.availabilitySlots.flatMap(s => s.holds.filter(h => Date.parse(h.until) <= now).map(h => [s, h.wa]));
+  if (!lapsed.length) return;
+  const notices = [];
+  for (const [slot, wa] of lapsed) {
+    releaseHold(slot, wa);
+    const entry = waitlistEntry(ws, wa);
+    if (!entry) continue;
+    entry.passed.push(slotKey(slot));
+    ws.waitlist = [...ws.waitlist.filter(e => e !== entry), entry];
+    notices.push({ wa, slot });
+  }
+  saveWorkspaceState(ws);
+
+  for (const { wa, slot } of notices) {
+    const client = ws.clientsByWa.get(wa);
+    const body = renderClientTemplate(ws, 'waitlistExpired', client, { slotLabel: slotLabelFor(ws, slot, client) });
+    sendWa(wa, body, null, { wsId: ws.id, kind: 'waitlist', template: 'waitlistExpired', action: `hold on ${slot.id} expired` })
+      .catch(e => console.error(`Waitlist notice to ${wa} failed:`, e.message));
+  }
+  await offerWaitlistSlots(ws);
+}
+
+// ---------------------- Calendar (ICS) ----------------------
+// Every booking is an event with a stable UID. Reschedules keep the UID and bump
+// SEQUENCE; cancellations stay in the feed as STATUS:CANCELLED so subscribed
+// calendars drop them.
+function icsEscape(v) {
+  return String(v || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsFold(line) {
+  // RFC 5545: lines longer than 75 octets continue on the next line after a space
+  const out = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    out.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  out.push(rest);
+  return out.join('\r\n');
+}
+
+function icsEvent(ev, { summary, description }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${ev.uid}`,
+    `SEQUENCE:${ev.sequence}`,
+    `DTSTAMP:${icsDate(ev.updatedAt)}`,
+    `DTSTART:${icsDate(ev.start)}`,
+    `DTEND:${icsDate(ev.end)}`,
+    `SUMMARY:${icsEscape(summary)}`,
+    description ? `DESCRIPTION:${icsEscape(description)}` : null,
+    `STATUS:${ev.status}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+}
+
+function icsCalendar(name, eventLines) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WA Scheduler//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    ...eventLines,
+    'END:VCALENDAR'
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// Client-facing invite for a single booking
+function inviteIcs(ws, ev) {
+  const agent = AGENT_DISPLAY_NAME || 'your agent';
+  return icsCalendar(`Meeting with ${agent}`, icsEvent(ev, { summary: `Meeting with ${agent}` }));
+}
+
+// Agent-facing feed of every booking in the workspace
+function feedIcs(ws) {
+  const events = Object.values(ws.calendarEvents || {})
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+    .flatMap(ev => icsEvent(ev, {
+      summary: `${ev.title || 'Meeting'}: ${ev.name || ev.phone || ev.wa}`,
+      description: [ev.name, ev.phone].filter(Boolean).join('\n')
+    }));
+  return icsCalendar(ws.name || `Workspace ${ws.id}`, events);
+}
+
+// Create (or move, when the previous attendee record carries an event) the
+// calendar event for one client's seat
+function recordCalendarBooking(ws, slot, attendee, client, previous) {
+  const prevUid = previous && previous.eventUid;
+  const prev = prevUid ? ws.calendarEvents[prevUid] : null;
+  const uid = prev ? prevUid : `${ws.id}-${slot.id}-${Date.now()}@wa-scheduler`;
+  const ev = {
+    uid,
+    wa: attendee.wa,
+    name: client ? client.name : '',
+    phone: client ? client.phone : '',
+    title: slotTypeLabel(ws, slot),
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    sequence: prev ? prev.sequence + 1 : 0,
+    status: 'CONFIRMED',
+    updatedAt: new Date().toISOString()
+  };
+  ws.calendarEvents[uid] = ev;
+  attendee.eventUid = uid;
+  return ev;
+}
+
+function recordCalendarCancel(ws, attendee) {
+  const ev = attendee && attendee.eventUid ? ws.calendarEvents[attendee.eventUid] : null;
+  if (!ev) return null;
+  ev.sequence += 1;
+  ev.status = 'CANCELLED';
+  ev.updatedAt = new Date().toISOString();
+  return ev;
+}
+
+function inviteUrl(ws, ev) {
+  if (!PUBLIC_BASE_URL) return null;
+  const sig = hmac(`${ws.id}:${ev.uid}`);
+  return `${PUBLIC_BASE_URL.replace(/\/+$/, '')}/api/w/${ws.id}/invites/${encodeURIComponent(ev.uid)}.ics?sig=${sig}`;
+}
+
+// ---------------------- Calendar feed & invites ----------------------
+// Calendar apps can't log in, so the feed also accepts ?token=<feedToken>
+app.get('/api/w/:ws/calendar.ics', (req, res) => {
+  const ws = workspaces.get(req.params.ws);
+  const tokenOk = !!ws && !!req.query.token && safeEqual(req.query.token, ws.feedToken);
+  if (!tokenOk && !ownsWorkspace(req.user, ws)) {
+    return res.status(404).json({ ok: false, error: 'Workspace not found' });
+  }
+  res.type('text/calendar; charset=utf-8');
+  res.send(feedIcs(ws));
+});
+
+// Twilio fetches invites when attaching them, so a signed link is enough
+app.get('/api/w/:ws/invites/:uid.ics', (req, res) => {
+  const ws = workspaces.get(req.params.ws);
+  const ev = ws ? ws.calendarEvents[req.params.uid] : null;
+  const sigOk = !!ev && !!req.query.sig && safeEqual(req.query.sig, hmac(`${ws.id}:${ev.uid}`));
+  if (!ev || (!sigOk && !ownsWorkspace(req.user, ws))) return res.status(404).json({ ok: false, error: 'Invite not found' });
+  res.type('text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="appointment.ics"');
+  res.send(inviteIcs(ws, ev));
+});
+
+// ---------------------- Busy calendar ----------------------
+// An .ics export of the agent's own calendar, uploaded or read from a local file on
+// every use (so an exported file that is refreshed in place stays current). New
+// availability that overlaps a busy event is dropped, or kept and flagged, per
+// workspace. Free (TRANSP:TRANSPARENT) and cancelled events don't count. Repeating
+// events are expanded for DAILY/WEEKLY/MONTHLY/YEARLY rules with INTERVAL, COUNT,
+// UNTIL, BYDAY (weekly or daily) and EXDATE; anything else counts once and is reported.
+const BUSY_HORIZON_DAYS = 400;
+const BUSY_MODES = ['drop', 'flag'];
+// Local calendars may only be read from here (unset: uploads only)
+const BUSY_CALENDAR_DIR = process.env.BUSY_CALENDAR_DIR ? path.resolve(process.env.BUSY_CALENDAR_DIR) : null;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function icsUnescape(v) {
+  return String(v || '').replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// "DTSTART;TZID=Europe/London:20260825T130000" -> { name, params, value }
+function icsProperty(line) {
+  let quoted = false;
+  let i = 0;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(';');
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+// A DATE or DATE-TIME value in its zone: UTC ("Z"), the TZID if it's an IANA name,
+// else the workspace's zone (floating times, or Windows zone names)
+function icsTime(value, params, tz) {
+  const zone = isValidTimeZone(params.TZID) ? params.TZID : tz;
+  const d = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (d) return { date: zonedDate(+d[1], d[2] - 1, +d[3], 0, 0, zone), allDay: true, zone };
+  const t = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!t) return null;
+  if (t[7]) return { date: new Date(Date.UTC(+t[1], t[2] - 1, +t[3], +t[4], +t[5], +t[6])), allDay: false, zone: 'UTC' };
+  return { date: new Date(zonedDate(+t[1], t[2] - 1, +t[3], +t[4], +t[5], zone).getTime() + t[6] * 1000), allDay: false, zone };
+}
+
+// "PT1H30M", "P1D", "P2W" -> milliseconds
+function icsDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!m) return null;
+  const ms = ((+m[2] || 0) * 7 * 86400 + (+m[3] || 0) * 86400 + (+m[4] || 0) * 3600 + (+m[5] || 0) * 60 + (+m[6] || 0)) * 1000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+// Occurrence start times of a repeating event, from `from` up to `until`
+function expandRecurrence(event, rule, tz, from, until) {
+  const r = Object.fromEntries(rule.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  const interval = Math.max(1, parseInt(r.INTERVAL, 10) || 1);
+  const count = parseInt(r.COUNT, 10) || Infinity;
+  const ruleEnd = r.UNTIL ? icsTime(r.UNTIL, { TZID: event.zone }, tz) : null;
+  const last = Math.min(until, ruleEnd ? ruleEnd.date.getTime() : Infinity);
+  const byDay = r.BYDAY ? r.BYDAY.split(',').map(d => ICS_WEEKDAYS.indexOf(d)) : null;
+  const others = Object.keys(r).filter(k => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST', 'BYDAY'].includes(k));
+  const supported = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(r.FREQ) && !others.length &&
+    (!byDay || (['DAILY', 'WEEKLY'].includes(r.FREQ) && byDay.every(d => d >= 0)));
+  if (!supported) return { starts: [event.start], unsupported: rule };
 
-// Replace/Upload Excel for existing workspace (optional)
-app.post('/api/w/:ws/upload-clients', upload.single('file'), async (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  try {
-    if (!req.file) throw new Error('No Excel uploaded');
-    const dest = path.join(ws.uploadDir, `clients_${Date.now()}${path.extname(req.file.originalname)}`);
-    fs.renameSync(req.file.path, dest);
+  const first = zonedParts(event.start, event.zone);
+  const firstDay = { y: first.y, m: first.m, d: first.d };
+  const at = day => new Date(zonedDate(day.y, day.m, day.d, first.h, first.mi, event.zone).getTime() + first.s * 1000);
+  // Candidate days of the n-th period, in order
+  const period = n => {
+    if (r.FREQ === 'DAILY') return [addDays(firstDay, n * interval)];
+    if (r.FREQ === 'WEEKLY') {
+      const weekStart = addDays(firstDay, n * interval * 7 - ((weekdayOf(firstDay) + 6) % 7)); // weeks start Monday
+      return (byDay || [weekdayOf(firstDay)]).map(wd => addDays(weekStart, (wd + 6) % 7)).sort(compareDates);
+    }
+    const months = r.FREQ === 'MONTHLY' ? n * interval : n * interval * 12;
+    const y = first.y + Math.floor((first.m + months) / 12);
+    const m = (first.m + months) % 12;
+    return isRealDate(y, m, first.d) ? [{ y, m, d: first.d }] : [];
+  };
 
-    const loaded = await loadExcel(dest);
-    ws.excelState = { filePath: dest, ...loaded };
-    buildClientMaps(ws);
+  // Without COUNT, periods that ended before `from` can be skipped (the longest
+  // month and year are used, so this never skips too far)
+  const periodMs = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[r.FREQ] * interval * 86400000;
+  const skip = count === Infinity ? Math.max(0, Math.floor((from - event.start - event.duration) / periodMs) - 1) : 0;
+  const starts = [];
+  let seen = 0;
+  for (let n = skip; n < skip + 5000 && seen < count; n++) {
+    const days = period(n).filter(day => compareDates(day, firstDay) >= 0 && (!byDay || r.FREQ !== 'DAILY' || byDay.includes(weekdayOf(day))));
+    let past = false;
+    for (const day of days) {
+      const start = at(day);
+      if (start.getTime() > last) { past = true; break; }
+      if (++seen > count) break;
+      if (start.getTime() + event.duration > from && !event.exdates.has(start.getTime())) starts.push(start);
+    }
+    if (past) break;
+  }
+  return { starts };
+}
 
-    res.json({ ok: true, message: 'Excel loaded', filePath: dest, totalClients: ws.clientsByWa.size });
-  } catch (err) {
-    console.error(err);
-    res.status(400).json({ ok: false, error: err.message });
+// Busy periods from .ics text: [{ start, end, summary, allDay }], plus anything skipped
+function parseBusyCalendar(text, tz, now = Date.now()) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('Not an iCalendar (.ics) file');
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const raw = [];
+  const stack = [];
+  let cur = null;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const { name, params, value } = icsProperty(line);
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (stack.join('/') === 'VCALENDAR/VEVENT') cur = { exdates: new Set(), props: {} };
+      continue;
+    }
+    if (name === 'END') {
+      if (stack.join('/') === 'VCALENDAR/VEVENT' && cur) raw.push(cur);
+      stack.pop();
+      continue;
+    }
+    if (!cur || stack.join('/') !== 'VCALENDAR/VEVENT') continue; // skip alarms and time zone blocks
+    if (name === 'EXDATE') {
+      for (const v of value.split(',')) {
+        const t = icsTime(v, params, tz);
+        if (t) cur.exdates.add(t.date.getTime());
+      }
+    } else {
+      cur.props[name] = { params, value };
+    }
   }
-});
 
-// ---------------------- API: availability ----------------------
-app.post('/api/w/:ws/set-availability', (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  try {
-    const { availabilityText, bufferMinutes } = req.body || {};
-    if (!availabilityText) return res.status(400).json({ ok:false, error:'availabilityText is required' });
+  // Edited occurrences of a repeating event replace the generated ones
+  const overridden = new Map(); // UID -> Set(original start ms)
+  for (const ev of raw) {
+    const rid = ev.props['RECURRENCE-ID'];
+    const uid = ev.props.UID && ev.props.UID.value;
+    if (!rid || !uid) continue;
+    const t = icsTime(rid.value, rid.params, tz);
+    if (!t) continue;
+    if (!overridden.has(uid)) overridden.set(uid, new Set());
+    overridden.get(uid).add(t.date.getTime());
+  }
 
-    const allowed = new Set([0, 30, 60, '0', '30', '60']);
-    const bufRaw = bufferMinutes ?? 0;
-    const buf = parseInt(bufRaw, 10);
-    const buffer = allowed.has(bufRaw) && [0,30,60].includes(buf) ? buf : 0;
-
-    ws.availabilitySlots = [];
-    const lines = availabilityText.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-    for (const line of lines) {
-      const parsed = parseAvailabilityLine(line);
-      if (!parsed) continue;
-      const slots = expandToBufferedSlots(parsed.start, parsed.end, 60, buffer);
-      for (const h of slots) {
-        ws.availabilitySlots.push({
-          id: '',
-          start: h.start,
-          end: h.end,
-          label: humanSlotLabel(h.start, h.end),
-          booked: false
-        });
-      }
+  const events = [];
+  const warnings = [];
+  const until = now + BUSY_HORIZON_DAYS * 86400000;
+  for (const ev of raw) {
+    const p = ev.props;
+    const summary = p.SUMMARY ? icsUnescape(p.SUMMARY.value) : '(busy)';
+    if (/^cancelled$/i.test(p.STATUS && p.STATUS.value) || /^transparent$/i.test(p.TRANSP && p.TRANSP.value)) continue;
+    const start = p.DTSTART && icsTime(p.DTSTART.value, p.DTSTART.params, tz);
+    if (!start) { warnings.push(`"${summary}": no readable start time`); continue; }
+    const endTime = p.DTEND && icsTime(p.DTEND.value, p.DTEND.params, tz);
+    const duration = endTime ? endTime.date - start.date
+      : p.DURATION ? icsDuration(p.DURATION.value)
+      : start.allDay ? 86400000 : 0;
+    if (!(duration > 0)) continue;
+
+    const event = { start: start.date, zone: start.zone, duration, exdates: ev.exdates };
+    if (!p['RECURRENCE-ID'] && p.UID) for (const t of overridden.get(p.UID.value) || []) event.exdates.add(t);
+    let starts = [start.date];
+    if (p.RRULE && !p['RECURRENCE-ID']) {
+      const expanded = expandRecurrence(event, p.RRULE.value, tz, now, until);
+      if (expanded.unsupported) warnings.push(`"${summary}": repeat rule ${expanded.unsupported} isn't supported, only its first occurrence counts`);
+      starts = expanded.starts;
+    }
+    for (const s of starts) {
+      if (s.getTime() + duration <= now) continue;
+      events.push({ start: s, end: new Date(s.getTime() + duration), summary, allDay: start.allDay });
     }
-    ws.availabilitySlots.sort((a,b) => a.start - b.start);
-    ws.availabilitySlots.forEach((s, idx) => s.id = `S${idx + 1}`);
-    // Reset broadcast order until next broadcast
-    ws.lastBroadcastOrder = [];
+  }
+  events.sort((a, b) => a.start - b.start);
+  return { events, warnings };
+}
 
-    res.json({
-      ok: true,
-      bufferMinutes: buffer,
-      totalSlots: ws.availabilitySlots.length,
-      slots: ws.availabilitySlots.map(s => s.label)
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(400).json({ ok:false, error: err.message });
+// The workspace's busy calendar, freshly read: { name, mode, events, warnings },
+// { error } if it can't be read, or null when none is set
+const isInside = (dir, fp) => {
+  const rel = path.relative(dir, fp);
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+};
+
+// Resolves a local calendar path (absolute or relative to BUSY_CALENDAR_DIR); app data,
+// including other workspaces' uploaded calendars, is never readable this way
+function localBusyPath(p) {
+  if (!BUSY_CALENDAR_DIR) throw new Error('Local calendar files are not enabled on this server (set BUSY_CALENDAR_DIR); upload the .ics instead');
+  const fp = path.resolve(BUSY_CALENDAR_DIR, String(p));
+  if (!/\.ics$/i.test(fp)) throw new Error('The file must be an .ics calendar export');
+  if (!fs.existsSync(fp)) throw new Error(`No such file: ${p}`);
+  const real = fs.realpathSync(fp);
+  if (!isInside(fs.realpathSync(BUSY_CALENDAR_DIR), real) || isInside(fs.realpathSync(APP_DATA_DIR), real)) {
+    throw new Error('Local calendar files must be inside BUSY_CALENDAR_DIR');
   }
-});
+  return real;
+}
 
-// ---------------------- API: broadcast ----------------------
-app.post('/api/w/:ws/broadcast', async (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
+function loadBusyCalendar(ws) {
+  const cfg = ws.settings.busyCalendar;
+  if (!cfg || !cfg.path) return null;
   try {
-    if (!ws.excelState) return res.status(400).json({ ok:false, error:'Upload an Excel first' });
-    if (!ws.availabilitySlots.length) return res.status(400).json({ ok:false, error:'Set availability first' });
+    if (cfg.local) localBusyPath(cfg.path);
+    const parsed = parseBusyCalendar(fs.readFileSync(cfg.path, 'utf8'), wsTimeZone(ws));
+    return { name: cfg.name, mode: cfg.mode, ...parsed };
+  } catch (e) {
+    return { name: cfg.name, mode: cfg.mode, events: [], warnings: [], error: `Couldn't read ${cfg.name}: ${e.message}` };
+  }
+}
 
-    const slotsText = listSlotsForMessage(ws);
-    // Freeze numbering (snapshot of open slots by id)
-    ws.lastBroadcastOrder = ws.availabilitySlots.filter(s => !s.booked).map(s => s.id);
+function busyConflict(busy, start, end) {
+  return busy ? busy.events.find(e => e.start < end && e.end > start) || null : null;
+}
 
-    const force = (req.query.force || '').toString().toLowerCase() === 'true';
-    const toSend = [];
-    const usedDigits = new Set();
+function busyEventLabel(ws, e) {
+  if (!e.allDay) return `${e.summary} (${humanSlotLabel(e.start, e.end, wsTimeZone(ws))})`;
+  const p = zonedParts(e.start, wsTimeZone(ws));
+  return `${e.summary} (${pad2(p.d)} ${MONTHS_SHORT[p.m]}, all day)`;
+}
 
-    for (const [wa, client] of ws.clientsByWa.entries()) {
-      const digits = phoneDigitsOnly(client.phone);
-      if (!digits || usedDigits.has(digits)) continue;
-      const agg = ws.statusByDigits.get(digits) || { confirmed:false, pending:false, notified:false, rowIndices:[] };
-      if (!force && (agg.pending || agg.confirmed)) {
-        usedDigits.add(digits);
-        continue;
-      }
-      usedDigits.add(digits);
-      toSend.push({ wa, digits, client, rowIndices: agg.rowIndices });
-    }
+function busyCalendarSummary(ws, busy) {
+  const cfg = ws.settings.busyCalendar;
+  if (!busy) return { calendar: null };
+  return {
+    calendar: { name: cfg.name, mode: cfg.mode, local: !!cfg.local, path: cfg.local ? cfg.path : undefined },
+    events: busy.events.length,
+    upcoming: busy.events.slice(0, 10).map(e => busyEventLabel(ws, e)),
+    warnings: busy.warnings,
+    error: busy.error
+  };
+}
 
-    if (!toSend.length) {
-      return res.json({
-        ok: true,
-        sentTo: 0,
-        skipped: ws.clientsByWa.size,
-        reason: force ? 'No eligible numbers' : 'All numbers have Pending or Confirmed status (or were duplicates).'
-      });
-    }
+// ---------------------- Reply interpreter ----------------------
+// Turns a client's reply into a slot choice. Besides "2" it understands
+// ordinals ("the 2nd one", "third"), dates and start times of listed slots
+// ("Tuesday 3pm", "25 Aug", "25/8 at 10:30") and "any time on Tuesday".
+// Numbers that are part of a date or time are never read as slot numbers.
+//   { kind: 'number', number }     a slot number from the client's list
+//   { kind: 'ask', candidates }    several listed slots fit: [[number, slot]]
+//   { kind: 'noMatch' }            a date/time was given but no open slot fits
+//   { kind: 'none' }               nothing recognisable
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+  pertama: 1, kedua: 2, ketiga: 3, keempat: 4, kelima: 5, keenam: 6,
+  satu: 1, dua: 2, tiga: 3, empat: 4, lima: 5, enam: 6
+};
+const ZH_NUMERALS = '一二三四五六七八九十';
+const DAY_PARTS = { morning: [0, 12], afternoon: [12, 17], evening: [17, 24], tonight: [17, 24] };
+const FLEXIBLE_RE = /\b(any ?time|any slot|anything|whenever|either|any of them|doesn'?t matter)\b/;
 
-    const whenSGT = sgtStamp();
+// Open slots numbered exactly as listSlotsStable shows them: [[number, slot]]
+function numberedOpenSlots(ws) {
+  if (!ws.lastBroadcastOrder || !ws.lastBroadcastOrder.length) {
+    return openSlots(ws).map((s, i) => [i + 1, s]);
+  }
+  const idToSlot = new Map(ws.availabilitySlots.map(s => [s.id, s]));
+  const numbered = [];
+  ws.lastBroadcastOrder.forEach((slotId, index) => {
+    const slot = idToSlot.get(slotId);
+    if (slot && slotOpen(slot)) numbered.push([index + 1, slot]);
+  });
+  return numbered;
+}
 
-    const tasks = toSend.map(async ({ wa, digits, client, rowIndices }) => {
-      const body = renderTemplate(ws.templates.broadcast, {
-        client: { name: client.name },
-        slotsText
-      });
-      await sendWa(wa, body);
+function to24h(h, mer) {
+  if (!mer) return h;
+  if (mer === 'am') return h === 12 ? 0 : h;
+  return h === 12 ? 12 : h + 12;
+}
 
-      // Mark Last Notified (SGT) and set Status='Pending' if not Confirmed
-      const h = ws.excelState.headerMap;
-      for (const r of rowIndices) {
-        const row = ws.excelState.sheet.getRow(r);
-        row.getCell(h['Last Notified']).value = whenSGT;
-        const sIdx = h['Status'];
-        const cur = (row.getCell(sIdx).value || '').toString().trim().toLowerCase();
-        if (cur !== 'confirmed') row.getCell(sIdx).value = 'Pending';
-        row.commit();
-      }
+function interpretSlotReply(ws, client, text, now = new Date()) {
+  const lower = String(text || '').toLowerCase().replace(/[–—]/g, '-').replace(/\s+/g, ' ').trim();
+  const tz = clientTimeZone(ws, client);
+  const today = todayParts(now, tz);
+  const numbered = numberedOpenSlots(ws);
+  const highest = numbered.reduce((max, [n]) => Math.max(max, n), 0);
 
-      // Update in-memory aggregator
-      const agg = ws.statusByDigits.get(digits) || { confirmed:false, pending:false, notified:false, rowIndices: rowIndices.slice() };
-      agg.pending = true; agg.notified = true;
-      ws.statusByDigits.set(digits, agg);
-      client.status = 'pending';
-    });
+  // Each recognised phrase is cut out of `rest` so its digits can't be read again
+  let rest = ` ${lower} `;
+  const take = (re, fn) => { rest = rest.replace(re, (...m) => (fn(...m) ? ' ' : m[0])); };
+  const dates = [];
+  let weekday = null, time = null, dayPart = null, dayOfMonth = null;
+  const numbers = new Set();
 
-    await Promise.all(tasks);
-    await saveExcel(ws);
+  take(/\b(\d{1,2})(?:[:.](\d{2}))? ?(am|pm)\b/g, (all, h, mi, mer) => {
+    const hh = parseInt(h, 10), mm = parseInt(mi || '0', 10);
+    if (hh < 1 || hh > 12 || mm > 59) return false;
+    time = { h: to24h(hh, mer), mi: mm };
+    return true;
+  });
+  take(/\b(\d{1,2})[:.](\d{2})\b/g, (all, h, mi) => {
+    const hh = parseInt(h, 10), mm = parseInt(mi, 10);
+    if (hh > 23 || mm > 59) return false;
+    time = { h: hh, mi: mm };
+    return true;
+  });
+  take(/\bnoon\b/g, () => { time = { h: 12, mi: 0 }; return true; });
 
-    res.json({ ok:true, sentTo: toSend.length, skipped: ws.clientsByWa.size - toSend.length });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok:false, error: err.message });
+  const addDate = (d, mon) => {
+    const r = parseCalendarDate(`${d} ${mon}`, today);
+    if (r.error) return false;
+    dates.push(r);
+    return true;
+  };
+  take(/\b(\d{1,2})(?:st|nd|rd|th)?(?: of)? ([a-z]{3,9})\.?\b/g, (all, d, mon) => monthIndex(mon) >= 0 && addDate(d, mon));
+  take(/\b([a-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)?\b/g, (all, mon, d) => monthIndex(mon) >= 0 && addDate(d, mon));
+  // 25/8 is day/month; 8/25 only reads as month/day when it can't be the other way round
+  take(/\b(\d{1,2})[/.-](\d{1,2})\b/g, (all, a, b) => {
+    const [x, y] = [parseInt(a, 10), parseInt(b, 10)];
+    if (y >= 1 && y <= 12) return addDate(x, MONTH_KEYS[y - 1]);
+    if (x >= 1 && x <= 12) return addDate(y, MONTH_KEYS[x - 1]);
+    return false;
+  });
+  take(/\b(today|tomorrow|tmrw?)\b/g, (all, w) => { dates.push(w === 'today' ? today : addDays(today, 1)); return true; });
+  take(/\b([a-z]{3,9})\b/g, (all, w) => {
+    const i = weekdayIndex(w);
+    if (i < 0) return false;
+    weekday = i;
+    return true;
+  });
+  take(/\b(morning|afternoon|evening|tonight)\b/g, (all, w) => { dayPart = DAY_PARTS[w]; return true; });
+
+  // "the 25th" is a day of the month when there is no 25th slot on the list
+  take(/\b(\d{1,2})(?:st|nd|rd|th)\b/g, (all, n) => {
+    const v = parseInt(n, 10);
+    if (v > highest && v <= 31) dayOfMonth = v;
+    else numbers.add(v);
+    return true;
+  });
+  take(/\b([a-z]+)\b/g, (all, w) => {
+    if (w === 'last' && numbered.length) { numbers.add(numbered[numbered.length - 1][0]); return true; }
+    if (!ORDINAL_WORDS[w]) return false;
+    numbers.add(ORDINAL_WORDS[w]);
+    return true;
+  });
+  take(/第\s*(\d{1,3}|[一二三四五六七八九十])/g, (all, n) => {
+    numbers.add(/\d/.test(n) ? parseInt(n, 10) : ZH_NUMERALS.indexOf(n) + 1);
+    return true;
+  });
+  take(/\b(\d{1,3})\b/g, (all, n) => { numbers.add(parseInt(n, 10)); return true; });
+
+  const hasFilter = dates.length || weekday !== null || time || dayPart || dayOfMonth;
+  if (hasFilter) {
+    let candidates = numbered.filter(([, slot]) => {
+      const p = zonedParts(slot.start, tz);
+      if (dates.length && !dates.some(d => d.y === p.y && d.m === p.m && d.d === p.d)) return false;
+      if (dayOfMonth && p.d !== dayOfMonth) return false;
+      if (weekday !== null && weekdayOf(p) !== weekday) return false;
+      if (time && (p.h !== time.h || p.mi !== time.mi)) return false;
+      if (dayPart && (p.h < dayPart[0] || p.h >= dayPart[1])) return false;
+      return true;
+    });
+    if (numbers.size) {
+      const both = candidates.filter(([n]) => numbers.has(n));
+      if (both.length) candidates = both;
+    }
+    if (!candidates.length) return { kind: 'noMatch' };
+    if (candidates.length > 1 && FLEXIBLE_RE.test(lower)) {
+      candidates = [...candidates].sort((a, b) => a[1].start - b[1].start).slice(0, 1);
+    }
+    return candidates.length === 1
+      ? { kind: 'number', number: candidates[0][0] }
+      : { kind: 'ask', candidates };
   }
-});
 
-// ---------------------- API: follow-up broadcast (Pending only) ----------------------
-app.post('/api/w/:ws/followup-broadcast', async (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  try {
-    const { template } = req.body || {};
-    if (!template || !template.trim()) return res.status(400).json({ ok:false, error:'template is required' });
+  if (numbers.size === 1) return { kind: 'number', number: [...numbers][0] };
+  if (numbers.size > 1) {
+    const candidates = numbered.filter(([n]) => numbers.has(n));
+    if (candidates.length === 1) return { kind: 'number', number: candidates[0][0] };
+    if (candidates.length > 1) return { kind: 'ask', candidates };
+    return { kind: 'number', number: Math.min(...numbers) };
+  }
+  return { kind: 'none' };
+}
 
-    const slotsText = listSlotsStable(ws);
-    const h = ws.excelState.headerMap;
+// ---------------------- Inbound routing ----------------------
+// A number can be a client in several workspaces (two agents' workbooks). Its
+// reply goes to the workspace with the most recent unanswered outreach to it
+// (broadcast, follow-up or waitlist offer), else to the one it has been talking
+// to in the last CONVERSATION_HOURS. Otherwise the bot asks which agent the
+// client means and replays their message there once they answer.
+const CONVERSATION_HOURS = Math.max(1, parseInt(process.env.CONVERSATION_HOURS || '24', 10));
+const routingQuestions = new Map(); // wa -> { options: [wsId], text }
 
-    // Build recipients strictly from Excel where Status == 'pending'
-    const toSend = [];
-    for (const [wa, client] of ws.clientsByWa.entries()) {
-      const row = findRowByPhone(ws, client.phone);
-      if (!row) continue;
-      const st = String(row.getCell(h['Status']).value || '').trim().toLowerCase();
-      if (st === 'pending') {
-        toSend.push({ wa, client });
-      }
-    }
+const WHICH_AGENT_TEXT = {
+  en: names => `You're in touch with more than one agent. Which one are you replying to?\n\n${names}\n\nReply with the number.`,
+  zh: names => `您正在与多位顾问联系。请问您是在回复哪一位？\n\n${names}\n\n请回复对应的编号。`,
+  ms: names => `Anda berhubung dengan lebih daripada seorang ejen. Ejen yang mana satu anda balas?\n\n${names}\n\nSila balas dengan nombornya.`
+};
 
-    if (!toSend.length) {
-      return res.json({ ok:true, sentTo: 0, skipped: ws.clientsByWa.size });
-    }
+function contactOf(ws, wa) {
+  if (!ws.contacts[wa]) ws.contacts[wa] = { outreachAt: null, repliedAt: null };
+  return ws.contacts[wa];
+}
 
-    const whenSGT = sgtStamp();
+function noteOutreach(ws, was, at = new Date().toISOString()) {
+  for (const wa of was) contactOf(ws, wa).outreachAt = at;
+}
 
-    const tasks = toSend.map(async ({ wa, client }) => {
-      const body = renderTemplate(template, {
-        client: { name: client.name },
-        slotsText
-      });
-      await sendWa(wa, body);
-
-      // Update Last Notified (SGT) and keep Status as Pending
-      const row = findRowByPhone(ws, client.phone);
-      if (row) {
-        row.getCell(h['Last Notified']).value = whenSGT;
-        const cur = (row.getCell(h['Status']).value || '').toString().trim().toLowerCase();
-        if (cur !== 'confirmed') row.getCell(h['Status']).value = 'Pending';
-        row.commit();
-      }
+function unansweredSince(ws, wa) {
+  const c = ws.contacts[wa];
+  return c && c.outreachAt && !(c.repliedAt > c.outreachAt) ? c.outreachAt : null;
+}
 
-      // keep aggregator consistent (optional)
-      const digits = phoneDigitsOnly(client.phone);
-      if (digits) refreshStatusForDigits(ws, digits);
-    });
+// { ws } to handle the reply, { ask: [ws, …] } when the client has to choose
+function routeInbound(from, now = Date.now()) {
+  const candidates = [...workspaces.values()].filter(w => w.clientsByWa && w.clientsByWa.has(from));
+  if (candidates.length <= 1) return { ws: candidates[0] || null };
+  const latest = at => candidates.filter(at).sort((a, b) => at(b).localeCompare(at(a)))[0] || null;
+  const since = new Date(now - CONVERSATION_HOURS * 3600000).toISOString();
+  const recentReply = w => (w.contacts[from] && w.contacts[from].repliedAt > since ? w.contacts[from].repliedAt : null);
+  const ws = latest(w => unansweredSince(w, from)) || latest(recentReply);
+  return ws ? { ws } : { ask: candidates };
+}
 
-    await Promise.all(tasks);
-    await saveExcel(ws);
+// An answer to "which agent?": a number from the list or the workspace's name
+function pickFromRoutingQuestion(question, from, text) {
+  const options = question.options.map(id => workspaces.get(id)).filter(w => w && w.clientsByWa.has(from));
+  if (options.length === 1) return options[0];
+  const t = text.trim().toLowerCase();
+  const n = /^\d+$/.test(t) ? parseInt(t, 10) : 0;
+  return options[n - 1] || options.find(w => (w.name || '').toLowerCase() === t) || null;
+}
 
-    res.json({ ok:true, sentTo: toSend.length, skipped: ws.clientsByWa.size - toSend.length });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok:false, error: err.message });
-  }
-});
+function askWhichAgent(from, options, text) {
+  routingQuestions.set(from, { options: options.map(w => w.id), text });
+  const first = options[0];
+  const names = options.map((w, i) => `${i + 1}) ${w.name || `Workspace ${w.id}`}`).join('\n');
+  const body = WHICH_AGENT_TEXT[clientLanguage(first, first.clientsByWa.get(from))](names);
+  sendWa(from, body, null, { kind: 'routing' }).catch(e => console.error(`Routing question to ${from} failed:`, e.message));
+}
 
+// ---------------------- Inbound WhatsApp webhook ----------------------
+// Keywords are understood in every language, whatever the client's Language column says
+const KEYWORDS = {
+  menu: ['menu', 'slots', 'options', 'list', '菜单', '选项', '时段', 'senarai', 'pilihan'],
+  cancel: ['cancel', '取消', 'batal', 'batalkan'],
+  reschedule: ['reschedule', '改期', 'tukar', 'jadual semula'],
+  waitlist: ['waitlist', 'wait list', 'waiting list', '候补', '排队', 'senarai menunggu', 'tunggu'],
+  claim: ['yes', 'yeah', 'yep', 'y', 'ok', 'okay', 'sure', '是', '好', 'ya', 'boleh', 'setuju']
+};
+// Words that also name a choice ("我要第2个时段") only count when they are the whole message
+const WHOLE_MESSAGE_KEYWORDS = new Set(['时段', '选项']);
 
-// ---------------------- API: templates per workspace ----------------------
-app.get('/api/w/:ws/templates', (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  if (!ws.templates) loadTemplates(ws);
-  res.json({ ok: true, templates: ws.templates });
-});
+// `anywhere` finds the keyword inside the message; otherwise it must lead it
+function hasKeyword(text, kind, anywhere = false) {
+  const t = String(text || '').trim().toLowerCase();
+  return KEYWORDS[kind].some(k => {
+    if (WHOLE_MESSAGE_KEYWORDS.has(k)) return t.replace(/[\s\p{P}]+/gu, '') === k;
+    if (!/^[a-z ]+$/.test(k)) return anywhere ? t.includes(k) : t.startsWith(k);
+    return new RegExp(`${anywhere ? '\\b' : '^'}${k}\\b`).test(t);
+  });
+}
 
-app.post('/api/w/:ws/templates', (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  try {
-    const { broadcast, confirm } = req.body || {};
-    const out = saveTemplates(ws, { broadcast, confirm });
-    res.json({ ok: true, templates: out });
-  } catch (e) {
-    console.error(e);
-    res.status(400).json({ ok: false, error: e.message });
-  }
-});
+app.post('/whatsapp/inbound', requireTwilioSignature, (req, res) => {
+  const from = req.body.From;          // 'whatsapp:+65...'
+  const text = (req.body.Body || '').toString().trim();
 
-// ---------------------- API: Excel view/download ----------------------
-app.get('/api/w/:ws/excel', (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
-  try {
-    if (!ws.excelState) return res.json({ ok: true, headers: [], rows: [] });
-    const sheet = ws.excelState.sheet;
+  // Acknowledge Twilio immediately
+  res.status(200).send('OK');
 
-    const headers = [];
-    const headerRow = sheet.getRow(1);
-    for (let i = 1; i <= headerRow.cellCount; i++) {
-      const v = headerRow.getCell(i).value;
-      if (v) headers.push(String(v));
-    }
+  if (from) handleInbound(from, text);
+});
 
-    const rows = [];
-    for (let r = 2; r <= sheet.rowCount; r++) {
-      const row = sheet.getRow(r);
-      const item = {};
-      headers.forEach((h, i) => {
-        const v = row.getCell(i + 1).value;
-        item[h] = (v == null) ? '' : v.toString();
-      });
-      // Exclude completely empty rows
-      const hasData = Object.values(item).some(v => String(v).trim() !== '');
-      if (hasData) rows.push(item);
+// Twilio delivery receipts for messages sent with a statusCallback
+app.post('/whatsapp/status', requireTwilioSignature, (req, res) => {
+  res.status(200).send('OK');
+  const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body || {};
+  const msg = MessageSid ? outbox.find(m => m.sid === MessageSid) : null;
+  if (!msg || !MessageStatus) return;
+  const raw = String(MessageStatus).toLowerCase();
+  const status = raw === 'undelivered' ? 'failed' : raw;
+  if (!(status in STATUS_RANK) || STATUS_RANK[status] <= STATUS_RANK[msg.status]) return;
+  const extra = ErrorCode ? { error: `Twilio error ${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ''}` } : {};
+  setMessageStatus(msg, status, extra);
+  saveOutbox();
+});
+
+// Shared by the Twilio webhook and the simulator (which names the workspace); never throws
+async function handleInbound(from, text, ws = null) {
+  const receivedAt = new Date().toISOString();
+  if (!ws) {
+    const route = routeInbound(from);
+    const question = routingQuestions.get(from);
+    routingQuestions.delete(from);
+    if (route.ask) {
+      // Answering "which agent?" hands the message that prompted it to that workspace
+      const picked = question && pickFromRoutingQuestion(question, from, text);
+      if (!picked) return askWhichAgent(from, route.ask, text);
+      ws = picked;
+      text = question.text;
+    } else {
+      ws = route.ws;
     }
+  }
+  if (!ws) return; // unknown sender across all workspaces
 
-    res.json({ ok: true, headers, rows });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok:false, error: err.message });
+  // Replies are queued under the booking lock but awaited after it, so a slow
+  // delivery never holds up the next client's reply
+  const replies = [];
+  await withBookingLock(ws, () => respondToInbound(ws, from, text, receivedAt, replies));
+  for (const r of await Promise.allSettled(replies)) {
+    if (r.status === 'rejected') console.error(`Reply to ${from} failed:`, r.reason.message);
   }
-});
+}
 
-app.get('/api/w/:ws/download-latest', (req, res) => {
-  const ws = requireWS(req, res); if (!ws) return;
+async function respondToInbound(ws, from, text, receivedAt, replies) {
+  let action = 'unrecognised'; // what the message led to, for the conversation log
+  contactOf(ws, from).repliedAt = receivedAt;
+  saveWorkspaceState(ws);
   try {
-    if (!ws.excelState) return res.status(400).json({ ok:false, error:'No Excel loaded yet.' });
-    const outPath = path.join(ws.exportDir, `bookings_${Date.now()}.xlsx`);
-    fs.copyFileSync(ws.excelState.filePath, outPath);
-    res.download(outPath, 'bookings.xlsx');
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok:false, error: err.message });
-  }
-});
+    const client = ws.clientsByWa.get(from);
+    // Every reply is a workspace template; `vars` adds to the client's own fields
+    const say = (template, vars = {}, mediaUrl) => {
+      const body = renderClientTemplate(ws, template, client, vars);
+      replies.push(sendWa(from, body, mediaUrl, { wsId: ws.id, kind: 'reply', template, action }));
+    };
+    const hasBooking = () => !!findBookedSlot(ws, from) || hasConfirmedRow(ws, client);
 
-// ---------------------- Inbound WhatsApp webhook ----------------------
-const INVALID_INPUT_MSG =
-  'Please reply with the number of your preferred slot (e.g., 2).';
+    const waitlistMe = async () => {
+      const isNew = !waitlistEntry(ws, from);
+      const entry = await joinWaitlist(ws, from, client, parsePreferredDays(text));
+      action = isNew ? 'joined waitlist' : 'updated waitlist days';
+      await say('waitlisted', { preferredDays: describeDays(entry.preferredDays, clientLanguage(ws, client)) });
+      if (isNew) await notifyAgent(ws, `⏳ ${clientDisplayName(client, from)} joined the waitlist.`);
+      await offerWaitlistSlots(ws);
+    };
 
-app.post('/whatsapp/inbound', async (req, res) => {
-  try {
-    const from = req.body.From;          // 'whatsapp:+65...'
-    const text = (req.body.Body || '').toString().trim();
+    const rescheduling = Object.prototype.hasOwnProperty.call(ws.pendingReschedule, from);
+    // Book a slot (freeing the previous one when rescheduling) and confirm it
+    const book = async slot => {
+      const current = rescheduling ? findBookedSlot(ws, from) : null;
+      const previousLabel = current ? current.label : (rescheduling ? bookedLabelFromRow(ws, client) : '');
+      const { previous, event, wasWaitlisted } = await placeBooking(ws, from, client, slot);
+      action = rescheduling ? `rescheduled to ${slot.id} (${slot.label})` : `booked ${slot.id} (${slot.label})`;
 
-    // Acknowledge Twilio immediately
-    res.status(200).send('OK');
+      // Send confirmation using workspace template
+      await say('confirm', {
+        meetingType: { label: slotTypeLabel(ws, slot) },
+        slotLabel: slotLabelFor(ws, slot, client)
+      }, inviteUrl(ws, event));
 
-    if (!from) return;
+      if (rescheduling) {
+        await notifyAgent(ws, `🔁 ${clientDisplayName(client, from)} moved ${previousLabel || 'their appointment'} → ${slot.label}.`);
+      }
+      // The old slot, or another slot held for this client, may suit someone waiting
+      if (previous || wasWaitlisted) await offerWaitlistSlots(ws);
+    };
 
-    // Identify workspace by WA number
-    let wsId = waToWs.get(from);
-    let ws = wsId ? workspaces.get(wsId) : null;
+    // YES to a waitlist offer books the held slot
+    const held = heldSlotFor(ws, from);
+    if (held && hasKeyword(text, 'claim')) {
+      await book(held);
+      return;
+    }
 
-    // Fallback: scan workspaces (in case mapping was lost)
-    if (!ws) {
-      for (const w of workspaces.values()) {
-        if (w.clientsByWa && w.clientsByWa.has(from)) { ws = w; waToWs.set(from, w.id); break; }
+    if (hasKeyword(text, 'waitlist', true)) {
+      if (hasBooking() && !rescheduling) {
+        action = 'already confirmed';
+        await say('alreadyConfirmed', { slotLabel: bookedLabelFromRow(ws, client) });
+        return;
       }
+      await waitlistMe();
+      return;
     }
-    if (!ws) return; // unknown sender across all workspaces
 
-    // Quick commands to re-show menu
-    if (/\b(menu|slots|options|list)\b/i.test(text)) {
-      const slotsText = listSlotsStable(ws);
-      await sendWa(from, `Here are the available slots:\n\n${slotsText}\n\n${INVALID_INPUT_MSG}`);
+    // Quick commands to re-show menu; with nothing open, join the waitlist instead
+    if (hasKeyword(text, 'menu', true)) {
+      if (!numberedOpenSlots(ws).length && !hasBooking()) {
+        await waitlistMe();
+        return;
+      }
+      action = 'menu';
+      await say('menu', { slotsText: listSlotsStable(ws, client) });
       return;
     }
 
-    // Require numeric choice 1-3 digits
-    const m = text.match(/\b(\d{1,3})\b/);
-    if (!m) {
-      await sendWa(from, INVALID_INPUT_MSG);
+    // Cancel an existing booking
+    if (hasKeyword(text, 'cancel')) {
+      const current = findBookedSlot(ws, from);
+      if (!current && !hasConfirmedRow(ws, client)) {
+        if (await leaveWaitlist(ws, from, client, true)) {
+          action = 'left waitlist';
+          await say('waitlistLeft');
+          await offerWaitlistSlots(ws);
+          return;
+        }
+        action = 'nothing to cancel';
+        await say('nothingToCancel');
+        return;
+      }
+      const { label: oldLabel } = await clearBooking(ws, from, client, 'Cancelled');
+      const clientLabel = current ? slotLabelFor(ws, current, client) : oldLabel;
+      action = `cancelled ${oldLabel}`;
+
+      await say('cancelled', { slotLabel: clientLabel });
+      await notifyAgent(ws, `❌ ${clientDisplayName(client, from)} cancelled ${oldLabel}.`);
+      await offerWaitlistSlots(ws);
       return;
     }
 
-    const idx = parseInt(m[1], 10) - 1;
-    if (!Number.isInteger(idx) || idx < 0) {
-      await sendWa(from, INVALID_INPUT_MSG);
+    // Start a reschedule: keep the current slot until a new one is picked
+    if (hasKeyword(text, 'reschedule')) {
+      const current = findBookedSlot(ws, from);
+      if (!current && !hasConfirmedRow(ws, client)) {
+        action = 'nothing to reschedule';
+        await say('nothingToReschedule', { slotsText: listSlotsStable(ws, client) });
+        return;
+      }
+      ws.pendingReschedule[from] = current ? current.id : null;
+      saveWorkspaceState(ws);
+      action = 'reschedule started';
+      await say('reschedule', {
+        slotsText: listSlotsStable(ws, client),
+        slotLabel: current ? slotLabelFor(ws, current, client) : bookedLabelFromRow(ws, client)
+      });
       return;
     }
 
-    // Prevent double-booking if already confirmed
-    const client = ws.clientsByWa.get(from);
-    const rowExisting = client ? findRowByPhone(ws, client.phone) : null;
-    if (rowExisting) {
+    const choice = interpretSlotReply(ws, client, text);
+    action = 'invalid input';
+    if (choice.kind === 'none') {
+      await say('invalidInput');
+      return;
+    }
+
+    // Prevent double-booking if already confirmed (unless rescheduling)
+    const rowExisting = client ? findRowByPhone(ws, client.e164) : null;
+    if (rowExisting && !rescheduling) {
       const h = ws.excelState.headerMap;
       const status = String(rowExisting.getCell(h['Status']).value || '').toLowerCase();
       const bookedDate = rowExisting.getCell(h['Booked Date']).value || '';
       const bookedTime = rowExisting.getCell(h['Booked Time']).value || '';
       if (status === 'confirmed' && (bookedDate || bookedTime)) {
-        await sendWa(from, `You already have a confirmed appointment: ${bookedDate} ${bookedTime}.`);
+        action = 'already confirmed';
+        await say('alreadyConfirmed', { slotLabel: `${bookedDate} ${bookedTime}`.trim() });
         return;
       }
     }
 
+    if (!rescheduling && !numberedOpenSlots(ws).length) {
+      await waitlistMe();
+      return;
+    }
+
+    if (choice.kind === 'noMatch') {
+      action = 'no matching slot';
+      await say('noMatch', { slotsText: listSlotsStable(ws, client) });
+      return;
+    }
+    // Ambiguous: list just the slots that fit, keeping their numbers
+    if (choice.kind === 'ask') {
+      action = `asked which of ${choice.candidates.map(([, s]) => s.id).join(', ')}`;
+      await say('whichSlot', { slotsText: slotList(ws, slotLines(ws, choice.candidates, client), client) });
+      return;
+    }
+
+    const idx = choice.number - 1;
+    if (idx < 0) {
+      await say('invalidInput');
+      return;
+    }
+
     // Resolve slot using stable broadcast order if available
     let slot = null;
     if (ws.lastBroadcastOrder && ws.lastBroadcastOrder.length >= (idx + 1)) {
       const slotId = ws.lastBroadcastOrder[idx];
       slot = ws.availabilitySlots.find(s => s.id === slotId);
+      // The agent removed it: the number must not slide onto another slot
+      if (!slot) {
+        action = `slot ${idx + 1} removed`;
+        await say('slotUnavailable', { slotNumber: idx + 1 });
+        return;
+      }
     }
     // Fallback to current open slots
     if (!slot) {
-      const openSlots = ws.availabilitySlots.filter(s => !s.booked);
-      if (idx >= openSlots.length) {
-        await sendWa(from, `That slot number is no longer available.\n\n${INVALID_INPUT_MSG}`);
+      const open = openSlots(ws);
+      if (idx >= open.length) {
+        action = `slot ${idx + 1} unavailable`;
+        await say('slotUnavailable', { slotNumber: idx + 1 });
         return;
       }
-      slot = openSlots[idx];
+      slot = open[idx];
     }
 
-    if (!slot || slot.booked) {
-      await sendWa(from, `Sorry, that slot was just taken.\n\n${INVALID_INPUT_MSG}`);
+    const own = !!attendeeOf(slot, from);
+    if (!slot || own || !slotOpen(slot, from)) {
+      action = own ? `already holds ${slot.id}` : `slot ${idx + 1} taken`;
+      if (own) await say('alreadyYours', { slotLabel: slotLabelFor(ws, slot, client) });
+      else await say('slotTaken', { slotNumber: idx + 1 });
       return;
     }
 
-    // Book it
-    slot.booked = true;
-    slot.bookedBy = from;
+    await book(slot);
+  } catch (err) {
+    action = `error: ${err.message}`;
+    console.error('Inbound handler error:', err);
+  } finally {
+    logMessage(ws, { at: receivedAt, wa: from, direction: 'in', body: text, action });
+  }
+}
+
+// ---------------------- Simulator ----------------------
+// Play a client: replies go through the same handler as the Twilio webhook and
+// every outbound message is recorded instead of sent.
+function simulatorThreads(ws) {
+  const threads = [];
+  for (const [wa, client] of ws.clientsByWa) threads.push({ wa, name: client.name, phone: client.phone });
+  const agentWa = waFormat(AGENT_WHATSAPP_NUMBER, wsDefaultCountry(ws));
+  if (agentWa) threads.push({ wa: agentWa, name: 'Agent alerts', phone: AGENT_WHATSAPP_NUMBER, agent: true });
+  const known = new Set(threads.map(t => t.wa));
+  const messages = simulatorLog.filter(m => known.has(m.wa));
+  return { threads, messages };
+}
+
+app.get('/w/:ws/simulator', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'simulator.html'));
+});
+
+app.get('/api/w/:ws/simulator', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  res.json({ ok: true, transport: TRANSPORT_NAME, ...simulatorThreads(ws) });
+});
+
+app.post('/api/w/:ws/simulator/reply', async (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  if (TRANSPORT_NAME !== 'simulator') {
+    return res.status(409).json({ ok: false, error: `Simulator is off: messages go through ${TRANSPORT_NAME}. Set MESSAGING_TRANSPORT=simulator.` });
+  }
+  const wa = String((req.body || {}).wa || '');
+  const body = String((req.body || {}).body || '').trim();
+  if (!ws.clientsByWa.has(wa)) return res.status(400).json({ ok: false, error: 'Not a client of this workspace' });
+  if (!body) return res.status(400).json({ ok: false, error: 'Message is empty' });
+
+  recordSimulated('in', wa, body);
+  await handleInbound(wa, body, ws);
+  res.json({ ok: true, ...simulatorThreads(ws) });
+});
+
+app.delete('/api/w/:ws/simulator', (req, res) => {
+  const ws = requireWS(req, res); if (!ws) return;
+  const { threads } = simulatorThreads(ws);
+  const known = new Set(threads.map(t => t.wa));
+  for (let i = simulatorLog.length - 1; i >= 0; i--) if (known.has(simulatorLog[i].wa)) simulatorLog.splice(i, 1);
+  res.json({ ok: true });
+});
+
+// ---------------------- Reminders ----------------------
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS || '60000', 10);
+
+const TIME_UNTIL = {
+  en: { minute: n => `in ${n} minute${n === 1 ? '' : 's'}`, hour: n => `in ${n} hour${n === 1 ? '' : 's'}`, day: n => `in ${n} days` },
+  zh: { minute: n => `${n}分钟后`, hour: n => `${n}小时后`, day: n => `${n}天后` },
+  ms: { minute: n => `dalam ${n} minit`, hour: n => `dalam ${n} jam`, day: n => `dalam ${n} hari` }
+};
+
+function describeTimeUntil(ms, lang = DEFAULT_LANGUAGE) {
+  const say = TIME_UNTIL[lang] || TIME_UNTIL[DEFAULT_LANGUAGE];
+  const mins = Math.max(1, Math.round(ms / 60000));
+  if (mins < 90) return say.minute(mins);
+  const hours = Math.round(mins / 60);
+  if (hours < 36) return say.hour(hours);
+  return say.day(Math.round(hours / 24));
+}
+
+// Which reminder (if any) is due for one attendee of a slot right now. Offsets
+// that were already past when they booked are skipped, and after downtime only the
+// closest offset is sent so the client doesn't get a burst of reminders.
+function dueReminder(slot, attendee, offsets, now) {
+  const startMs = slot.start.getTime();
+  if (startMs <= now) return null;
+  const sent = new Set(attendee.remindersSent || []);
+  const bookedAtMs = attendee.bookedAt ? Date.parse(attendee.bookedAt) : 0;
+  const due = offsets.filter(h => {
+    const at = startMs - h * 3600000;
+    return at <= now && at >= bookedAtMs;
+  });
+  if (!due.length || due.every(h => sent.has(h))) return null;
+  return { hours: Math.min(...due), covers: due };
+}
+
+async function sendRemindersForWorkspace(ws, now) {
+  const offsets = (ws.settings && ws.settings.reminderHours) || [];
+  if (!offsets.length || !ws.excelState) return;
+
+  let excelDirty = false;
+  const seats = ws.availabilitySlots.flatMap(slot => slot.attendees.map(attendee => [slot, attendee]));
+  for (const [slot, attendee] of seats) {
+    const due = dueReminder(slot, attendee, offsets, now);
+    if (!due) continue;
+
+    const client = ws.clientsByWa.get(attendee.wa);
+    if (!client || !hasConfirmedRow(ws, client)) continue;
 
-    // Update Excel
-    const dateOnly = `${pad2(slot.start.getDate())} ${['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'][slot.start.getMonth()]}`;
-    const timeLabel = humanSlotLabel(slot.start, slot.end).split(' ').slice(2).join(' ');
-    const row = client ? findRowByPhone(ws, client.phone) : null;
+    const body = renderClientTemplate(ws, 'reminder', client, {
+      slotLabel: slotLabelFor(ws, slot, client),
+      timeUntil: describeTimeUntil(slot.start.getTime() - now, clientLanguage(ws, client))
+    });
+    // The outbox is persistent and retries on its own: record the reminder as soon as it is
+    // queued, so neither a restart nor the next pass queues it again, and don't wait on delivery
+    enqueueMessage(attendee.wa, body, null, { wsId: ws.id, kind: 'reminder', template: 'reminder', action: `reminder ${due.hours}h before ${slot.id}` });
+    flushOutbox();
+    attendee.remindersSent = [...new Set([...(attendee.remindersSent || []), ...due.covers])];
+    saveWorkspaceState(ws);
 
+    const row = findRowByPhone(ws, client.e164);
     if (row) {
-      const { headerMap } = ws.excelState;
-      row.getCell(headerMap['Booked Date']).value = dateOnly;
-      row.getCell(headerMap['Booked Time']).value = timeLabel;
-      row.getCell(headerMap['Status']).value = 'Confirmed';
+      row.getCell(ws.excelState.headerMap['Last Reminded']).value = tzStamp(wsTimeZone(ws));
       row.commit();
-      await saveExcel(ws);
+      excelDirty = true;
     }
-    
-    // ✅ Sync in-memory aggregator & map after saving Excel
-    const digits = client ? phoneDigitsOnly(client.phone) : '';
-    if (digits) {
-      // Prefer to mirror Excel exactly:
-      refreshStatusForDigits(ws, digits);
-      // (or, minimally)
-      // const agg = ws.statusByDigits.get(digits) || { confirmed:false, pending:false, notified:false, rowIndices: [] };
-      // agg.confirmed = true; agg.pending = false;
-      // ws.statusByDigits.set(digits, agg);
-    }
-    if (client) client.status = 'confirmed';
-
-    // Send confirmation using workspace template
-    const slotLabel = humanSlotLabel(slot.start, slot.end);
-    const body = renderTemplate(ws.templates.confirm, {
-      client: { name: client ? client.name : '' },
-      slotLabel
-    });
-    await sendWa(from, body);
-  } catch (err) {
-    console.error('Inbound handler error:', err);
   }
-});
+  if (excelDirty) await saveExcel(ws);
+}
+
+let remindersRunning = false;
+async function runReminders() {
+  if (remindersRunning) return;
+  remindersRunning = true;
+  try {
+    const now = Date.now();
+    for (const ws of workspaces.values()) {
+      try {
+        await sendRemindersForWorkspace(ws, now);
+      } catch (e) {
+        console.error(`Reminders failed for ${ws.id}:`, e.message);
+      }
+      try {
+        await withBookingLock(ws, () => expireWaitlistHolds(ws, now));
+      } catch (e) {
+        console.error(`Waitlist holds failed for ${ws.id}:`, e.message);
+      }
+    }
+  } finally {
+    remindersRunning = false;
+  }
+}
 
 // ---------------------- Health ----------------------
 app.get('/health', (req, res) => res.json({ ok:true }));
 
 // ---------------------- Start ----------------------
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
+restoreWorkspaces()
+  .catch(err => console.error('Workspace restore failed:', err))
+  .finally(() => {
+    adoptOwnerlessWorkspaces();
+    app.listen(PORT, () => {
+      console.log(`Server listening on port ${PORT} (messages via ${TRANSPORT_NAME})`);
+    });
+    setInterval(runReminders, REMINDER_INTERVAL_MS);
+    runReminders();
+    scheduleOutbox(0);
+  });
+
+// Write out any batched outbox changes before stopping
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    flushOutbox();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,116 @@
+// End-to-end: runs the server on the simulator transport and books slots from
+// client replies in Malay and Chinese. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const PORT = 3900 + Math.floor(Math.random() * 500);
+const BASE = `http://localhost:${PORT}`;
+const CLIENTS = [
+  ['Aminah', '+6591000001'],
+  ['Badrul', '+6591000002'],
+  ['Chen Wei', '+6591000003'],
+  ['Dong Mei', '+6591000004'],
+  ['Farid', '+6591000005']
+];
+
+let server, dataDir, cookie = '', wsId;
+
+async function api(method, url, body) {
+  const headers = { cookie };
+  let payload;
+  if (body instanceof FormData) payload = body;
+  else if (body) { headers['content-type'] = 'application/json'; payload = JSON.stringify(body); }
+  const res = await fetch(`${BASE}${url}`, { method, headers, body: payload });
+  const setCookie = res.headers.get('set-cookie');
+  if (setCookie) cookie = setCookie.split(';')[0];
+  return res.json();
+}
+
+// A day three days out, as the availability parser reads it ("25 Dec")
+function dayLabel() {
+  const d = new Date(Date.now() + 3 * 86400000);
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'Asia/Singapore' });
+}
+
+async function reply(phone, body) {
+  const res = await api('POST', `/api/w/${wsId}/simulator/reply`, { wa: `whatsapp:${phone}`, body });
+  assert.ok(res.ok, res.error);
+}
+
+async function bookedSlot(phone) {
+  const { slots } = await api('GET', `/api/w/${wsId}/slots`);
+  const slot = slots.find(s => s.attendees.some(a => a.phone === phone));
+  return slot ? slot.number : null;
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-scheduler-test-'));
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      PATH: process.env.PATH,
+      DATA_DIR: dataDir,
+      PORT: String(PORT),
+      MESSAGING_TRANSPORT: 'simulator',
+      SEND_RATE_PER_SEC: '50'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.once('exit', code => reject(new Error(`server exited with ${code}`)));
+    server.stdout.on('data', chunk => { if (/Server listening/.test(chunk)) resolve(); });
+  });
+
+  await api('POST', '/api/auth/register', { email: 'agent@example.com', password: 'password1' });
+  const csv = ['Client Name,Contact Number', ...CLIENTS.map(c => c.join(','))].join('\n');
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'clients.csv');
+  const created = await api('POST', '/api/workspaces', form);
+  assert.ok(created.ok, created.error);
+  wsId = created.id;
+
+  const set = await api('POST', `/api/w/${wsId}/set-availability`, { availabilityText: `${dayLabel()} 9am-2pm` });
+  assert.strictEqual(set.totalSlots, 5);
+  const sent = await api('POST', `/api/w/${wsId}/broadcast`, {});
+  assert.strictEqual(sent.sent, CLIENTS.length);
+});
+
+// The server writes its outbox on the way out, so clean up only once it has exited
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('Malay number words pick the slot, never a weekday', async () => {
+  await reply('+6591000001', 'slot satu');
+  assert.strictEqual(await bookedSlot('+6591000001'), 1);
+});
+
+test('Malay ordinals pick the slot', async () => {
+  await reply('+6591000002', 'yang kedua');
+  assert.strictEqual(await bookedSlot('+6591000002'), 2);
+});
+
+test('Chinese ordinals with a digit pick the slot', async () => {
+  await reply('+6591000003', '我要第3个时段');
+  assert.strictEqual(await bookedSlot('+6591000003'), 3);
+});
+
+test('Chinese ordinals with a numeral pick the slot', async () => {
+  await reply('+6591000004', '第四个');
+  assert.strictEqual(await bookedSlot('+6591000004'), 4);
+});
+
+test('weekday abbreviations still filter by day', async () => {
+  const { slots } = await api('GET', `/api/w/${wsId}/slots`);
+  const day = new Date(slots[4].start).toLocaleDateString('en-GB', { weekday: 'short', timeZone: 'Asia/Singapore' });
+  await reply('+6591000005', `${day.toLowerCase()} 1pm`);
+  assert.strictEqual(await bookedSlot('+6591000005'), 5);
+});